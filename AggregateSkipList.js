@@ -0,0 +1,305 @@
+import { FixedSkipList } from "./FixedSkipList.js";
+
+/**
+ * Numeric monoid over values of indices: `measure` maps an index to a number, `combine` is an
+ * associative operation, `identity` is its neutral element.
+ *
+ * @typedef {{ measure: (index: number) => number, combine: (a: number, b: number) => number, identity: number }} Monoid
+ */
+
+/**
+ * Skip list that keeps an aggregate for each span of its upper layers, so a range of values can be
+ * reduced in logarithmic time instead of walking every value in it. Any associative operation over
+ * numbers works: sum, count, min, max.
+ *
+ * ```js
+ * let byDate = new AggregateSkipList(capacity, 1 / 4, compareDate, {
+ *   monoid: { measure: (index) => orders[index].amount, combine: (a, b) => a + b, identity: 0 },
+ * });
+ * byDate.reduceRange(since, until);
+ * ```
+ */
+export class AggregateSkipList extends FixedSkipList {
+  /**
+   * @param {number} capacity maximum number of values that can be stored in the list
+   * @param {number} ratio probability of promoting a value to next layer, see `FixedSkipList`
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare comparator function that receives indices of values
+   * @param {{ monoid: Monoid, random?: () => number, seed?: number, strict?: boolean }} options `monoid` defines aggregated values, see `FixedSkipList` for the rest
+   */
+  constructor(capacity, ratio, compare, { monoid, ...options }) {
+    super(capacity, ratio, compare, options);
+    /** @type {Monoid} */
+    this.monoid = monoid;
+
+    let maxLevel = this.heads.length;
+    let lanelength = capacity * Float64Array.BYTES_PER_ELEMENT;
+    let lanes = new ArrayBuffer((maxLevel - 1) * lanelength);
+    /**
+     * Aggregate of values from an index up to its next index on the same layer, or up to the end of
+     * the list for the tail. The bottom layer is measured directly, so its lane is empty.
+     *
+     * @protected
+     * @type {Array<Float64Array>}
+     */
+    this.aggregates = Array.from({ length: maxLevel }, (_, level) => {
+      return level > 0
+        ? new Float64Array(lanes, (level - 1) * lanelength, capacity)
+        : new Float64Array(0);
+    });
+    /**
+     * Aggregate of values that precede the head of each layer.
+     *
+     * @protected
+     * @type {Float64Array}
+     */
+    this.prefixes = new Float64Array(maxLevel).fill(monoid.identity);
+  }
+
+  /**
+   * @param {ArrayLike<number>} indices
+   * @param {number} capacity
+   * @param {number} ratio
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ monoid: Monoid, sorted?: boolean, random?: () => number, seed?: number, strict?: boolean }} options
+   */
+  static from(indices, capacity, ratio, compare, options) {
+    let list = /** @type {AggregateSkipList} */ (
+      super.from(indices, capacity, ratio, compare, options)
+    );
+    list.rebuild();
+    return list;
+  }
+
+  /**
+   * @param {ArrayBuffer} buffer
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ monoid: Monoid, random?: () => number, seed?: number, strict?: boolean }} options
+   */
+  static deserialize(buffer, compare, options) {
+    let list = /** @type {AggregateSkipList} */ (super.deserialize(buffer, compare, options));
+    list.rebuild();
+    return list;
+  }
+
+  /**
+   * Number of bytes allocated for the state of the list, including aggregates of its layers.
+   */
+  get byteLength() {
+    let arrays = [...this.aggregates, this.prefixes];
+    return arrays.reduce((sum, array) => sum + array.byteLength, super.byteLength);
+  }
+
+  /**
+   * Combine values between lower and upper bounds, see `range()` for arguments. Returns the
+   * identity if there are no values in the range.
+   *
+   * ```js
+   * let since = (index) => ascending(startDate, orders[index].date);
+   * byDate.reduceRange(since, null);
+   * ```
+   *
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean] }} [options]
+   */
+  reduceRange(lower, upper, { inclusive = true } = {}) {
+    let [lowerInclusive, upperInclusive] = Array.isArray(inclusive)
+      ? inclusive
+      : [inclusive, inclusive];
+    let { measure, combine, identity } = this.monoid;
+    let from = 0;
+    let first = this.head;
+    if (lower != null) {
+      from = this.bisect(lower, !lowerInclusive);
+      first = this.after(this.points[0]);
+    }
+    let to = upper != null ? this.bisect(upper, upperInclusive) : this.size;
+
+    // climb while spans of the current index fit the rest of the range, descend when they don't
+    let result = identity;
+    for (let curr = first, level = 0, remaining = to - from; remaining > 0;) {
+      level = Math.min(level, this.heights[curr]);
+      while (level < this.heights[curr] && this.spans[level + 1][curr] <= remaining) level++;
+      while (level > 0 && this.spans[level][curr] > remaining) level--;
+      result = combine(result, level > 0 ? this.aggregates[level][curr] : measure(curr));
+      remaining -= this.spans[level][curr];
+      curr = this.nexts[level][curr];
+    }
+    return result;
+  }
+
+  /**
+   * @param {number} index
+   * @param {() => void} mutate
+   */
+  update(index, mutate) {
+    let moved = super.update(index, mutate);
+    // an index updated in place is left right after points[0], unless it is not in the list
+    let point = this.points[0];
+    if (!moved && this.sizes[0] > 0 && point !== this.tails[0] && this.after(point) === index) {
+      this.mend(index);
+    }
+    return moved;
+  }
+
+  /**
+   * @param {number} index
+   */
+  upsert(index) {
+    let existing = super.upsert(index);
+    if (existing > -1) this.mend(index);
+    return existing;
+  }
+
+  /**
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean] }} [options]
+   */
+  removeRange(lower, upper, options) {
+    let removed = super.removeRange(lower, upper, options);
+    if (removed.length > 0) this.mend();
+    return removed;
+  }
+
+  clear() {
+    super.clear();
+    this.prefixes.fill(this.monoid.identity);
+  }
+
+  /**
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   * @returns {[this, this]}
+   */
+  splitAt(probe, key) {
+    let [, rest] = super.splitAt(probe, key);
+    this.mend();
+    rest.points.fill(-1);
+    rest.mend();
+    return [this, rest];
+  }
+
+  /**
+   * @param {FixedSkipList} other
+   */
+  concat(other) {
+    for (let level = 0; level < this.points.length; level++) {
+      this.points[level] = this.sizes[level] > 0 ? this.tails[level] : -1;
+    }
+    super.concat(other);
+    this.mend();
+    return this;
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   * @param {number} insertLevel
+   */
+  link(index, insertLevel) {
+    // layers above current level are not visited by descent, the index becomes their head
+    for (let level = this.currentLevel + 1; level <= insertLevel; level++) this.points[level] = -1;
+    super.link(index, insertLevel);
+    this.mend(index);
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   */
+  unlink(index) {
+    super.unlink(index);
+    this.mend();
+  }
+
+  /**
+   * @protected
+   * @returns {this}
+   */
+  share() {
+    let list = super.share();
+    list.prefixes = new Float64Array(this.prefixes.length).fill(this.monoid.identity);
+    return list;
+  }
+
+  /**
+   * @protected
+   * @param {AggregateSkipList} other
+   */
+  adopt(other) {
+    super.adopt(other);
+    for (let level = 1; level <= other.currentLevel; level++) {
+      let next = other.nexts[level];
+      for (let i = 0, curr = other.heads[level]; i < other.sizes[level]; i++, curr = next[curr]) {
+        this.aggregates[level][curr] = other.aggregates[level][curr];
+      }
+    }
+  }
+
+  /**
+   * Recompute aggregates of `points` on each layer, which span a change made next to them, and
+   * aggregates of the index if it is given.
+   *
+   * @protected
+   * @param {number} [index]
+   */
+  mend(index = -1) {
+    for (let level = 1; level <= this.currentLevel; level++) {
+      let point = this.points[level];
+      if (point > -1) this.aggregates[level][point] = this.gather(level, point);
+      else this.prefixes[level] = this.gather(level, -1);
+      if (index > -1 && level <= this.heights[index]) {
+        this.aggregates[level][index] = this.gather(level, index);
+      }
+    }
+  }
+
+  /**
+   * Recompute all aggregates, layer by layer.
+   *
+   * @protected
+   */
+  rebuild() {
+    for (let level = 1; level <= this.currentLevel; level++) {
+      let next = this.nexts[level];
+      this.prefixes[level] = this.gather(level, -1);
+      for (let i = 0, curr = this.heads[level]; i < this.sizes[level]; i++, curr = next[curr]) {
+        this.aggregates[level][curr] = this.gather(level, curr);
+      }
+    }
+  }
+
+  /**
+   * Combine aggregates of the layer below that fall within the span of the index, or precede the
+   * head of the layer when the index is -1.
+   *
+   * @protected
+   * @param {number} level
+   * @param {number} index
+   */
+  gather(level, index) {
+    let { measure, combine, identity } = this.monoid;
+    let below = level - 1;
+    let values = this.aggregates[below];
+    let next = this.nexts[below];
+    let tail = this.tails[below];
+    let result = index > -1 ? identity : this.prefixes[below];
+    let curr = index > -1 ? index : this.heads[below];
+    let stop =
+      index > -1
+        ? index !== this.tails[level]
+          ? this.nexts[level][index]
+          : -1
+        : this.sizes[level] > 0
+          ? this.heads[level]
+          : -1;
+    if (this.sizes[below] === 0 || curr === stop) return result;
+    while (true) {
+      result = combine(result, below > 0 ? values[curr] : measure(curr));
+      if (curr === tail) return result;
+      curr = next[curr];
+      if (curr === stop) return result;
+    }
+  }
+}
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import { equal } from "node:assert/strict";
+import { AggregateSkipList } from "./AggregateSkipList.js";
+import { FixedSkipList } from "./FixedSkipList.js";
+
+test("reduce ranges while the list changes", () => {
+  let data = [];
+  let amounts = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let monoid = { measure: (index) => amounts[index], combine: (a, b) => a + b, identity: 0 };
+  let list = new AggregateSkipList(2000, 1 / 4, order, { monoid });
+  let value = (v) => (index) => ascending(v, data[index]);
+  let brute = (lower, upper) => {
+    let sum = 0;
+    for (let index of list.range(lower, upper)) sum += amounts[index];
+    return sum;
+  };
+  let check = () => {
+    for (let i = 0; i < 5; i++) {
+      let a = (Math.random() * 110) | 0;
+      let b = a + ((Math.random() * 40) | 0);
+      equal(list.reduceRange(value(a), value(b)), brute(value(a), value(b)));
+    }
+    equal(list.reduceRange(), brute(null, null));
+  };
+
+  for (let i = 0; i < 1000; i++) {
+    let action = Math.random();
+    if (action < 0.6 || list.size === 0) {
+      let index = data.push((Math.random() * 100) | 0) - 1;
+      amounts.push((Math.random() * 1000) | 0);
+      list.insert(index);
+    } else if (action < 0.8) {
+      list.remove(list.at((Math.random() * list.size) | 0));
+    } else if (action < 0.9) {
+      let index = list.at((Math.random() * list.size) | 0);
+      list.update(index, () => {
+        if (Math.random() < 0.5) data[index] = (Math.random() * 100) | 0;
+        amounts[index] = (Math.random() * 1000) | 0;
+      });
+    } else if (action < 0.95) {
+      let index = data.push((Math.random() * 100) | 0) - 1;
+      amounts.push((Math.random() * 1000) | 0);
+      list.upsert(index);
+    } else if (action < 0.97) {
+      action < 0.96 ? list.shift() : list.pop();
+    } else {
+      let lower = (Math.random() * 100) | 0;
+      list.removeRange(value(lower), value(lower + 3));
+    }
+    if (i % 10 === 0) check();
+  }
+  check();
+  list.verify();
+});
+
+test("min and max", () => {
+  let prices = Array.from({ length: 500 }, () => Math.random() * 100);
+  let max = { measure: (index) => prices[index], combine: Math.max, identity: -Infinity };
+  let list = AggregateSkipList.from(
+    prices.map((_, index) => index),
+    500,
+    1 / 2,
+    ascending,
+    { monoid: max },
+  );
+  let since = (index) => ascending(100, index);
+  let until = (index) => ascending(200, index);
+  equal(list.reduceRange(since, until), Math.max(...prices.slice(100, 201)));
+  equal(list.reduceRange(since, until, { inclusive: false }), Math.max(...prices.slice(101, 200)));
+  equal(list.reduceRange(until, since), -Infinity);
+  equal(list.reduceRange(), Math.max(...prices));
+
+  let copy = AggregateSkipList.deserialize(list.serialize(), ascending, { monoid: max });
+  equal(copy.reduceRange(since, until), Math.max(...prices.slice(100, 201)));
+});
+
+test("split and concat", () => {
+  let count = { measure: () => 1, combine: (a, b) => a + b, identity: 0 };
+  let list = new AggregateSkipList(1500, 1 / 4, ascending, { monoid: count });
+  for (let i = 0; i < 1000; i++) list.insert(i);
+  let at = (v) => (index) => ascending(v, index);
+
+  let [left, right] = list.splitAt(600);
+  equal(left.reduceRange(), 600);
+  equal(right.reduceRange(), 400);
+  equal(left.reduceRange(at(500), null), 100);
+  equal(right.reduceRange(null, at(700)), 101);
+
+  left.concat(right);
+  equal(left.reduceRange(), 1000);
+  equal(left.reduceRange(at(550), at(649)), 100);
+
+  let other = new AggregateSkipList(1500, 1 / 4, ascending, { monoid: count });
+  for (let i = 1000; i < 1500; i++) other.insert(i);
+  left.concat(other);
+  equal(left.reduceRange(at(900), at(1099)), 200);
+  equal(left.reduceRange(at(1400), null), 100);
+
+  left.clear();
+  equal(left.reduceRange(), 0);
+  left.insert(5);
+  equal(left.reduceRange(), 1);
+});
+
+test("update in place and outside of the list", () => {
+  let amounts = [1, 2, 3, 4];
+  let monoid = { measure: (index) => amounts[index], combine: (a, b) => a + b, identity: 0 };
+  let list = new AggregateSkipList(4, 1 / 2, ascending, { monoid, seed: 7 });
+  for (let i = 0; i < 4; i++) list.insert(i);
+  equal(
+    list.update(1, () => {
+      amounts[1] = 20;
+    }),
+    false,
+  );
+  equal(list.reduceRange(null, null), 28);
+
+  list.remove(3);
+  equal(
+    list.update(3, () => {
+      amounts[3] = 40;
+    }),
+    false,
+  );
+  equal(list.reduceRange(null, null), 24);
+  list.remove(2);
+  equal(list.reduceRange(null, null), 21);
+});
+
+test("byte length", () => {
+  let monoid = { measure: (index) => index, combine: (a, b) => a + b, identity: 0 };
+  let list = new AggregateSkipList(1000, 1 / 2, ascending, { monoid });
+  let fixed = new FixedSkipList(1000, 1 / 2, ascending);
+  let layers = fixed.heads.length;
+  let extra = (layers - 1) * 1000 * 8 + layers * 8;
+  equal(list.byteLength, fixed.byteLength + extra);
+});
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
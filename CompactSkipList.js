@@ -0,0 +1,516 @@
+import { FixedSkipList } from "./FixedSkipList.js";
+import { SkipListError } from "./SkipListError.js";
+
+/**
+ * Skip list that stores upper layers as per-value towers instead of lanes of full capacity. Only
+ * the bottom layer is allocated upfront, towers of promoted values are kept in a pool that grows
+ * with the number of values, so memory use no longer depends on the number of layers. The price is
+ * an extra indirection on upper layers, compare both layouts with `node benchmark.js`.
+ *
+ * Bulk operations (`removeRange()`, `splitAt()`, `concat()`) move values one by one, and snapshots
+ * are not supported.
+ *
+ * ```js
+ * let byYear = new CompactSkipList(1_000_000, 1 / 2, compareYear);
+ * byYear.byteLength;
+ * ```
+ */
+export class CompactSkipList extends FixedSkipList {
+  /**
+   * @param {number} capacity maximum number of values that can be stored in the list
+   * @param {number} ratio probability of promoting a value to next layer, see `FixedSkipList`
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare comparator function that receives indices of values
+   * @param {{ random?: () => number, seed?: number, strict?: boolean }} [options] see `FixedSkipList`
+   */
+  constructor(capacity, ratio, compare, options) {
+    super(capacity, ratio, compare, options);
+    /**
+     * Position of each value's tower in the pool. A tower keeps next index and span for each layer
+     * of the value above the bottom one.
+     *
+     * @protected
+     * @type {Uint32Array}
+     */
+    this.towers = new Uint32Array(capacity);
+    /**
+     * @protected
+     * @type {Uint32Array}
+     */
+    this.pool = new Uint32Array(64);
+    /**
+     * Number of pool entries given out to towers so far.
+     *
+     * @protected
+     */
+    this.reserved = 0;
+    /**
+     * First released tower of each height, released towers of the same height are chained through
+     * their first entry.
+     *
+     * @protected
+     * @type {Int32Array}
+     */
+    this.vacant = new Int32Array(this.heads.length).fill(-1);
+  }
+
+  /**
+   * @param {ArrayLike<number>} indices
+   * @param {number} capacity
+   * @param {number} ratio
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ sorted?: boolean, random?: () => number, seed?: number, strict?: boolean }} [options]
+   */
+  static from(indices, capacity, ratio, compare, { sorted = false, ...options } = {}) {
+    this.fit(indices, capacity);
+    let list = new this(capacity, ratio, compare, options);
+    let order = sorted ? indices : Uint32Array.from(indices).sort(list.compare);
+    if (list.strict) list.validateOrder(order);
+    // every index goes after the tail, so each insert only descends along the right edge
+    for (let rank = 0; rank < order.length; rank++) list.insert(order[rank]);
+    return list;
+  }
+
+  /**
+   * @returns {ArrayBuffer}
+   */
+  serialize() {
+    throw new TypeError("CompactSkipList does not support snapshots");
+  }
+
+  /**
+   * @param {ArrayBuffer} buffer
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ random?: () => number, seed?: number, strict?: boolean }} [options]
+   * @returns {FixedSkipList}
+   */
+  static deserialize(buffer, compare, options) {
+    throw new TypeError("CompactSkipList does not support snapshots");
+  }
+
+  /**
+   * @param {number} index
+   */
+  upsert(index) {
+    if (this.strict) this.validate(index);
+    let compare = this.compare;
+    let found = this.bisect(this.probe(index), false);
+    let existing = found < this.sizes[0] ? this.after(this.points[0]) : -1;
+    if (existing === -1 || compare(index, existing) !== 0) {
+      this.link(index, this.randomLevel());
+      return -1;
+    }
+
+    // the index takes over the tower of the existing value along with its bottom layer pointers
+    let height = this.heights[existing];
+    this.towers[index] = this.towers[existing];
+    this.nexts[0][index] = this.nexts[0][existing];
+    this.spans[0][index] = this.spans[0][existing];
+    for (let level = height; level >= 0; level--) {
+      let point = this.points[level];
+      if (point > -1) this.setNextOf(level, point, index);
+      else this.heads[level] = index;
+      if (existing === this.tails[level]) this.tails[level] = index;
+    }
+    let prev = this.prevs[0];
+    prev[index] = prev[existing];
+    if (index !== this.tails[0]) prev[this.nexts[0][index]] = index;
+    this.heights[index] = height;
+    this.modifications++;
+    if (this.observers.length > 0) {
+      let next = index === this.tails[0] ? -1 : this.nexts[0][index];
+      this.notify("update", index, 1, found, this.points[0], next);
+    }
+    return existing;
+  }
+
+  /**
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean] }} [options]
+   */
+  removeRange(lower, upper, options) {
+    let removed = Uint32Array.from(this.range(lower, upper, options));
+    for (let i = 0; i < removed.length; i++) this.remove(removed[i]);
+    return removed;
+  }
+
+  clear() {
+    super.clear();
+    this.reserved = 0;
+    this.vacant.fill(-1);
+  }
+
+  /**
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   * @returns {[this, this]}
+   */
+  splitAt(probe, key) {
+    let from = this.bisect(this.matcher(probe, key), false);
+    let moved = this.slice(from);
+    for (let i = moved.length; i > 0; i--) this.pop();
+    let options = { sorted: true, random: this.random, strict: this.strict };
+    let Type = /** @type {typeof CompactSkipList} */ (this.constructor);
+    let rest = Type.from(moved, this.capacity, this.ratio, this.compare, options);
+    return [this, /** @type {this} */ (rest)];
+  }
+
+  /**
+   * @param {FixedSkipList} other
+   */
+  concat(other) {
+    if (other.size === 0) return this;
+    if (this.size > 0 && this.compare(this.tail, other.head) > 0) {
+      throw new SkipListError("order", `Lists overlap, index ${other.head} is out of order`);
+    }
+    let shared = this.overlap(other);
+    if (shared > -1) {
+      throw new SkipListError("uniqueness", `Index ${shared} is in both lists`);
+    }
+    if (other.capacity > this.capacity) {
+      throw new SkipListError("capacity", `List of capacity ${other.capacity} does not fit`);
+    }
+    for (let index of other.snapshot()) this.insert(index);
+    other.clear();
+    return this;
+  }
+
+  /**
+   * @param {number} rank
+   */
+  at(rank) {
+    if (!(rank >= 0 && rank < this.size)) return -1;
+    let point = -1;
+    let pointRank = -1;
+    for (let level = this.currentLevel; level >= 0; level--) {
+      let tail = this.tails[level];
+      for (
+        let curr = point > -1 ? this.nextOf(level, point) : this.heads[level],
+          currRank = point > -1 ? pointRank + this.spanOf(level, point) : this.offsets[level];
+        point !== tail && currRank <= rank;
+        currRank += this.spanOf(level, curr), curr = this.nextOf(level, curr)
+      ) {
+        point = curr;
+        pointRank = currRank;
+      }
+      if (pointRank === rank) break;
+    }
+    return point;
+  }
+
+  /**
+   * @param {(index: number) => -1 | 0 | 1} match
+   */
+  bisectLeft(match) {
+    return this.bisect(match, false) < this.sizes[0] ? this.after(this.points[0]) : -1;
+  }
+
+  /**
+   * @param {(index: number) => -1 | 0 | 1} match
+   */
+  bisectRight(match) {
+    return this.bisect(match, true) < this.sizes[0] ? this.after(this.points[0]) : -1;
+  }
+
+  /**
+   * @param {(index: number) => -1 | 0 | 1} match
+   * @param {boolean} trailing
+   */
+  search(match, trailing = false) {
+    let found = trailing ? (this.bisect(match, true), this.points[0]) : this.bisectLeft(match);
+    return found > -1 && match(found) === 0 ? found : -1;
+  }
+
+  /**
+   * @protected
+   * @param {(index: number) => -1 | 0 | 1} match
+   * @param {boolean} right
+   */
+  bisect(match, right) {
+    let points = this.points;
+    let ranks = this.ranks;
+    let size = this.sizes[0];
+    if (size === 0 || (right ? match(this.heads[0]) < 0 : match(this.heads[0]) <= 0)) {
+      points.fill(-1);
+      ranks.fill(-1);
+      return 0;
+    }
+    if (right ? match(this.tails[0]) >= 0 : match(this.tails[0]) > 0) {
+      for (let level = this.currentLevel; level >= 0; level--) {
+        points[level] = this.tails[level];
+        ranks[level] = size - this.spanOf(level, this.tails[level]);
+      }
+      return size;
+    }
+
+    let point = -1;
+    let rank = -1;
+    for (let level = this.currentLevel; level >= 0; level--) {
+      let tail = this.tails[level];
+      for (
+        let curr = point > -1 ? this.nextOf(level, point) : this.heads[level],
+          currRank = point > -1 ? rank + this.spanOf(level, point) : this.offsets[level];
+        point !== tail && (right ? match(curr) >= 0 : match(curr) > 0);
+        currRank += this.spanOf(level, curr), curr = this.nextOf(level, curr)
+      ) {
+        point = curr;
+        rank = currRank;
+      }
+      points[level] = point;
+      ranks[level] = rank;
+    }
+    return rank + 1;
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   */
+  locate(index) {
+    if (this.sizes[0] === 0) return -1;
+    let compare = this.compare;
+    let points = this.points;
+    let ranks = this.ranks;
+    let point = -1;
+    let rank = -1;
+    for (let level = this.currentLevel; level >= 0; level--) {
+      let tail = this.tails[level];
+      for (
+        let curr = point > -1 ? this.nextOf(level, point) : this.heads[level],
+          currRank = point > -1 ? rank + this.spanOf(level, point) : this.offsets[level];
+        point !== tail && compare(curr, index) < 0;
+        currRank += this.spanOf(level, curr), curr = this.nextOf(level, curr)
+      ) {
+        point = curr;
+        rank = currRank;
+      }
+      points[level] = point;
+      ranks[level] = rank;
+    }
+
+    // equal values are kept in insertion order, so the index can be anywhere in the run of them
+    let next = this.nexts[0];
+    let tail = this.tails[0];
+    for (
+      let curr = point > -1 ? next[point] : this.heads[0];
+      point !== tail && compare(curr, index) === 0;
+      curr = next[curr]
+    ) {
+      if (curr === index) return rank + 1;
+      point = curr;
+      rank++;
+      for (let level = this.heights[curr]; level >= 0; level--) {
+        points[level] = point;
+        ranks[level] = rank;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   */
+  refind(index) {
+    this.bisect(this.probe(index), true);
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   * @param {number} insertLevel
+   */
+  link(index, insertLevel) {
+    if (insertLevel > 0) this.towers[index] = this.reserve(insertLevel);
+    let points = this.points;
+    let ranks = this.ranks;
+    let size = this.sizes[0];
+    let topLevel = Math.max(insertLevel, this.currentLevel);
+    let insertRank = ranks[0] + 1;
+    for (let level = topLevel; level >= 0; level--) {
+      let point = points[level];
+      if (level > insertLevel) {
+        if (point > -1) this.setSpanOf(level, point, this.spanOf(level, point) + 1);
+        else this.offsets[level]++;
+        continue;
+      }
+
+      if (this.sizes[level] === 0) {
+        this.heads[level] = index;
+        this.tails[level] = index;
+        this.offsets[level] = insertRank;
+        this.setSpanOf(level, index, size + 1 - insertRank);
+      } else if (point === -1) {
+        this.setNextOf(level, index, this.heads[level]);
+        this.setSpanOf(level, index, this.offsets[level] + 1 - insertRank);
+        this.heads[level] = index;
+        this.offsets[level] = insertRank;
+      } else {
+        this.setNextOf(level, index, this.nextOf(level, point));
+        this.setNextOf(level, point, index);
+        this.setSpanOf(level, index, ranks[level] + this.spanOf(level, point) + 1 - insertRank);
+        this.setSpanOf(level, point, insertRank - ranks[level]);
+        if (point === this.tails[level]) this.tails[level] = index;
+      }
+
+      if (level === 0) {
+        let prev = this.prevs[0];
+        if (point > -1) prev[index] = point;
+        if (index !== this.tails[0]) prev[this.nexts[0][index]] = index;
+      }
+
+      this.sizes[level]++;
+    }
+
+    this.heights[index] = insertLevel;
+    this.currentLevel = topLevel;
+    this.modifications++;
+    if (this.observers.length > 0) {
+      let next = index === this.tails[0] ? -1 : this.nexts[0][index];
+      this.notify("insert", index, 1, insertRank, points[0], next);
+    }
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   */
+  unlink(index) {
+    let points = this.points;
+    let height = this.heights[index];
+    let following = index === this.tails[0] ? -1 : this.nexts[0][index];
+    for (let level = this.currentLevel; level >= 0; level--) {
+      let point = points[level];
+      if (level > height) {
+        if (point > -1) this.setSpanOf(level, point, this.spanOf(level, point) - 1);
+        else this.offsets[level]--;
+        continue;
+      }
+
+      let next = this.nextOf(level, index);
+      if (point > -1) {
+        this.setNextOf(level, point, next);
+        this.setSpanOf(level, point, this.spanOf(level, point) + this.spanOf(level, index) - 1);
+      } else {
+        this.heads[level] = next;
+        this.offsets[level] += this.spanOf(level, index) - 1;
+      }
+      if (index === this.tails[level]) {
+        this.tails[level] = point > -1 ? point : this.heads[level];
+      } else if (level === 0 && point > -1) {
+        this.prevs[0][next] = point;
+      }
+
+      this.sizes[level]--;
+    }
+
+    if (height > 0) this.release(index);
+    while (this.currentLevel > 0 && this.sizes[this.currentLevel] === 0) this.currentLevel--;
+    this.modifications++;
+    if (this.observers.length > 0) {
+      this.notify("remove", index, 1, this.ranks[0] + 1, points[0], following);
+    }
+  }
+
+  /**
+   * @protected
+   * @param {number} maxLevel
+   */
+  laneCount(maxLevel) {
+    return 1;
+  }
+
+  /**
+   * @protected
+   * @param {number} level
+   * @param {number} index
+   */
+  nextOf(level, index) {
+    return level > 0 ? this.pool[this.towers[index] + 2 * level - 2] : this.nexts[0][index];
+  }
+
+  /**
+   * @protected
+   * @param {number} level
+   * @param {number} index
+   */
+  spanOf(level, index) {
+    return level > 0 ? this.pool[this.towers[index] + 2 * level - 1] : this.spans[0][index];
+  }
+
+  /**
+   * @protected
+   * @param {number} level
+   * @param {number} index
+   * @param {number} value
+   */
+  setNextOf(level, index, value) {
+    if (level > 0) this.pool[this.towers[index] + 2 * level - 2] = value;
+    else this.nexts[0][index] = value;
+  }
+
+  /**
+   * @protected
+   * @param {number} level
+   * @param {number} index
+   * @param {number} value
+   */
+  setSpanOf(level, index, value) {
+    if (level > 0) this.pool[this.towers[index] + 2 * level - 1] = value;
+    else this.spans[0][index] = value;
+  }
+
+  /**
+   * Find room in the pool for a tower of the height, reusing released towers first and doubling
+   * the pool when it runs out.
+   *
+   * @protected
+   * @param {number} height
+   */
+  reserve(height) {
+    let position = this.vacant[height];
+    if (position > -1) {
+      this.vacant[height] = this.pool[position] | 0;
+      return position;
+    }
+    position = this.reserved;
+    this.reserved += 2 * height;
+    if (this.reserved > this.pool.length) {
+      let pool = new Uint32Array(Math.max(this.pool.length * 2, this.reserved));
+      pool.set(this.pool);
+      this.pool = pool;
+    }
+    return position;
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   */
+  release(index) {
+    let height = this.heights[index];
+    let position = this.towers[index];
+    this.pool[position] = this.vacant[height];
+    this.vacant[height] = position;
+  }
+
+  /**
+   * @protected
+   * @returns {Array<Uint32Array | Int32Array | Uint8Array>}
+   */
+  layout() {
+    return [
+      this.heads,
+      this.tails,
+      this.sizes,
+      this.offsets,
+      this.nexts[0],
+      this.spans[0],
+      this.prevs[0],
+      this.heights,
+      this.towers,
+      this.pool,
+      this.vacant,
+    ];
+  }
+}
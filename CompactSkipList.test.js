@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import { deepEqual, equal, throws } from "node:assert/strict";
+import { CompactSkipList } from "./CompactSkipList.js";
+import { FixedSkipList } from "./FixedSkipList.js";
+import { SkipListError } from "./SkipListError.js";
+
+test("same order and ranks as fixed layout", () => {
+  // each list gets its own copy of values, so an update can change them for one list at a time
+  let data = [];
+  let copy = [];
+  let compact = new CompactSkipList(2000, 1 / 2, (ia, ib) => ascending(data[ia], data[ib]));
+  let fixed = new FixedSkipList(2000, 1 / 2, (ia, ib) => ascending(copy[ia], copy[ib]));
+
+  for (let i = 0; i < 3000; i++) {
+    let action = Math.random();
+    let value = (Math.random() * 100) | 0;
+    if (action < 0.6 || compact.size === 0) {
+      if (data.length === 2000) continue;
+      let index = data.push(value) - 1;
+      copy.push(value);
+      compact.insert(index);
+      fixed.insert(index);
+    } else if (action < 0.8) {
+      let index = compact.at((Math.random() * compact.size) | 0);
+      compact.remove(index);
+      fixed.remove(index);
+    } else if (action < 0.9) {
+      let index = compact.at((Math.random() * compact.size) | 0);
+      let moved = compact.update(index, () => {
+        data[index] = value;
+      });
+      let expected = fixed.update(index, () => {
+        copy[index] = value;
+      });
+      equal(moved, expected);
+    } else if (data.length < 2000) {
+      let index = data.push(value) - 1;
+      copy.push(value);
+      equal(compact.upsert(index), fixed.upsert(index));
+    }
+  }
+
+  compact.verify();
+  deepEqual(Array.from(compact), Array.from(fixed));
+  for (let rank = 0; rank < compact.size; rank += 7) {
+    equal(compact.at(rank), fixed.at(rank));
+    equal(compact.rankOf(compact.at(rank)), rank);
+  }
+  let fifty = (index) => ascending(50, data[index]);
+  equal(compact.countRange(fifty, fifty), fixed.countRange(fifty, fifty));
+  equal(compact.search(fifty, true), fixed.search(fifty, true));
+});
+
+test("bulk operations", () => {
+  let list = new CompactSkipList(1000, 1 / 2, ascending);
+  for (let i = 0; i < 1000; i++) list.insert(i);
+
+  let removed = list.removeRange(
+    (index) => ascending(100, index),
+    (index) => ascending(199, index),
+  );
+  equal(removed.length, 100);
+  list.verify();
+
+  let [left, right] = list.splitAt(500);
+  left.verify();
+  right.verify();
+  equal(left.size, 400);
+  equal(right.size, 500);
+  equal(right.head, 500);
+
+  left.concat(right);
+  left.verify();
+  equal(left.size, 900);
+  equal(right.size, 0);
+
+  list.clear();
+  list.verify();
+  for (let i = 999; i >= 0; i--) list.insert(i);
+  list.verify();
+  deepEqual(Array.from(list.slice(0, 3)), [0, 1, 2]);
+});
+
+test("byte length", () => {
+  let compact = new CompactSkipList(10_000, 1 / 2, ascending);
+  let fixed = new FixedSkipList(10_000, 1 / 2, ascending);
+  let empty = compact.byteLength;
+  for (let i = 0; i < 10_000; i++) {
+    compact.insert(i);
+    fixed.insert(i);
+  }
+  equal(compact.byteLength < fixed.byteLength / 3, true);
+  equal(compact.byteLength > empty, true);
+  throws(() => compact.serialize(), TypeError);
+  throws(() => CompactSkipList.from([0, 10], 10, 1 / 2, ascending), RangeError);
+  let shared = CompactSkipList.from([1, 2], 10, 1 / 2, ascending);
+  throws(() => CompactSkipList.from([0, 1], 10, 1 / 2, ascending).concat(shared), SkipListError);
+});
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
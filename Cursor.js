@@ -0,0 +1,147 @@
+import { SkipListError } from "./SkipListError.js";
+
+/** @typedef {import("./FixedSkipList.js").FixedSkipList} FixedSkipList */
+
+/**
+ * Movable position in a skip list. Unlike iterators, a cursor can step in both directions, jump by
+ * an arbitrary number of values, and remove the value it points to. The cursor keeps the rank of
+ * its position, ranks -1 and `size` stand for positions before the first and after the last value.
+ * When the list is changed by other means, the cursor stays at its index and finds its rank again,
+ * unless the index itself was removed, in which case moving the cursor throws.
+ *
+ * ```js
+ * let cursor = slist.cursor();
+ * while (cursor.current > -1) {
+ *   if (isExpired(values[cursor.current])) cursor.remove();
+ *   else cursor.next();
+ * }
+ * ```
+ */
+export class Cursor {
+  /**
+   * @param {FixedSkipList} list
+   */
+  constructor(list) {
+    /**
+     * @protected
+     * @type {FixedSkipList}
+     */
+    this.list = list;
+    /**
+     * @protected
+     * @type {number}
+     */
+    this.index = list.size > 0 ? list.head : -1;
+    /**
+     * @protected
+     * @type {number}
+     */
+    this.position = 0;
+    /**
+     * @protected
+     * @type {number}
+     */
+    this.modifications = list.modifications;
+  }
+
+  /**
+   * Index the cursor points to, or -1 when it is outside of the list.
+   */
+  get current() {
+    return this.index;
+  }
+
+  get rank() {
+    this.sync();
+    return this.position;
+  }
+
+  /**
+   * Move to the first value that satisfies the match function, see `FixedSkipList.bisectLeft()`.
+   * Returns the index the cursor points to.
+   *
+   * @param {(index: number) => -1 | 0 | 1} match
+   */
+  seek(match) {
+    let found = this.list.bisectLeft(match);
+    this.index = found;
+    this.position = found > -1 ? this.list.rankOf(found) : this.list.size;
+    this.modifications = this.list.modifications;
+    return found;
+  }
+
+  /**
+   * Move one value forward. Returns the index the cursor points to.
+   */
+  next() {
+    this.sync();
+    let list = this.list;
+    if (this.index > -1) this.index = this.index === list.tail ? -1 : list.next[this.index];
+    else if (this.position < 0) this.index = list.size > 0 ? list.head : -1;
+    this.position = Math.min(this.position + 1, list.size);
+    return this.index;
+  }
+
+  /**
+   * Move one value backward. Returns the index the cursor points to.
+   */
+  prev() {
+    this.sync();
+    let list = this.list;
+    if (this.index > -1) this.index = this.index === list.head ? -1 : list.prev[this.index];
+    else if (this.position > -1) this.index = list.size > 0 ? list.tail : -1;
+    this.position = Math.max(this.position - 1, -1);
+    return this.index;
+  }
+
+  /**
+   * Move by the number of values, forward if it is positive and backward otherwise. Returns the
+   * index the cursor points to.
+   *
+   * @param {number} count
+   */
+  skip(count) {
+    this.sync();
+    let list = this.list;
+    this.position = Math.min(Math.max(this.position + count, -1), list.size);
+    this.index = this.position > -1 && this.position < list.size ? list.at(this.position) : -1;
+    return this.index;
+  }
+
+  /**
+   * Remove the current index from the list and move to the value that followed it, so the cursor
+   * keeps its rank. Returns the removed index, or -1 if the cursor is outside of the list.
+   */
+  remove() {
+    this.sync();
+    let list = this.list;
+    let removed = this.index;
+    if (removed === -1) return -1;
+    let following = removed === list.tail ? -1 : list.next[removed];
+    list.remove(removed);
+    this.index = following;
+    this.modifications = list.modifications;
+    return removed;
+  }
+
+  /**
+   * Find the rank again if the list was changed since the cursor last moved. A cursor outside of
+   * the list stays before the first or after the last value.
+   *
+   * @protected
+   */
+  sync() {
+    let list = this.list;
+    if (this.modifications === list.modifications) return;
+    this.modifications = list.modifications;
+    if (this.index > -1) {
+      let rank = list.rankOf(this.index);
+      if (rank === -1) {
+        throw new SkipListError("modification", `Index ${this.index} under the cursor was removed`);
+      }
+      this.position = rank;
+    } else if (this.position > -1) {
+      this.position = list.size;
+    }
+  }
+}
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import { deepEqual, equal, throws } from "node:assert/strict";
+import { FixedSkipList } from "./FixedSkipList.js";
+import { SkipListError } from "./SkipListError.js";
+
+test("step in both directions", () => {
+  let list = new FixedSkipList(100, 1 / 2, ascending);
+  for (let i = 0; i < 100; i += 10) list.insert(i);
+  let cursor = list.cursor();
+
+  equal(cursor.current, 0);
+  equal(cursor.rank, 0);
+  equal(cursor.next(), 10);
+  equal(cursor.next(), 20);
+  equal(cursor.prev(), 10);
+  equal(cursor.prev(), 0);
+  equal(cursor.prev(), -1);
+  equal(cursor.rank, -1);
+  equal(cursor.prev(), -1);
+  equal(cursor.next(), 0);
+
+  equal(cursor.skip(5), 50);
+  equal(cursor.rank, 5);
+  equal(cursor.skip(-2), 30);
+  equal(cursor.skip(100), -1);
+  equal(cursor.rank, 10);
+  equal(cursor.prev(), 90);
+  equal(cursor.skip(-100), -1);
+  equal(cursor.next(), 0);
+});
+
+test("seek", () => {
+  let list = new FixedSkipList(100, 1 / 2, ascending);
+  for (let i = 0; i < 100; i += 10) list.insert(i);
+  let cursor = list.cursor();
+
+  equal(
+    cursor.seek((index) => ascending(35, index)),
+    40,
+  );
+  equal(cursor.rank, 4);
+  equal(cursor.next(), 50);
+  equal(
+    cursor.seek((index) => ascending(95, index)),
+    -1,
+  );
+  equal(cursor.rank, 10);
+  equal(cursor.prev(), 90);
+});
+
+test("remove at cursor", () => {
+  let list = new FixedSkipList(100, 1 / 4, ascending);
+  for (let i = 0; i < 100; i++) list.insert(i);
+  let cursor = list.cursor();
+
+  while (cursor.current > -1) {
+    if (cursor.current % 3 === 0) cursor.remove();
+    else cursor.next();
+  }
+
+  let expected = Array.from({ length: 100 }, (_, index) => index).filter((i) => i % 3 !== 0);
+  deepEqual(Array.from(list), expected);
+  equal(cursor.rank, expected.length);
+  equal(cursor.prev(), 98);
+  equal(cursor.remove(), 98);
+  equal(cursor.current, -1);
+  equal(cursor.prev(), 97);
+  list.verify();
+});
+
+test("empty list", () => {
+  let list = new FixedSkipList(10, 1 / 2, ascending);
+  let cursor = list.cursor();
+  equal(cursor.current, -1);
+  equal(cursor.next(), -1);
+  equal(cursor.prev(), -1);
+  equal(cursor.remove(), -1);
+});
+
+test("modification during traversal", () => {
+  let list = new FixedSkipList(10, 1 / 2, ascending);
+  for (let i = 0; i < 6; i++) list.insert(i);
+  let cursor = list.cursor();
+  equal(cursor.next(), 1);
+  equal(cursor.rank, 1);
+
+  list.remove(0);
+  equal(cursor.rank, 0);
+  let visited = [cursor.current];
+  while (cursor.next() > -1) visited.push(cursor.current);
+  deepEqual(visited, [1, 2, 3, 4, 5]);
+  equal(cursor.rank, 5);
+
+  list.insert(9);
+  equal(cursor.rank, 6);
+  equal(cursor.prev(), 9);
+  list.insert(0);
+  equal(cursor.rank, 6);
+  equal(cursor.skip(-6), 0);
+  list.remove(0);
+  throws(() => cursor.next(), SkipListError);
+
+  let empty = new FixedSkipList(10, 1 / 2, ascending);
+  let late = empty.cursor();
+  for (let i = 0; i < 3; i++) empty.insert(i);
+  equal(late.next(), -1);
+  equal(late.rank, 3);
+  equal(late.prev(), 2);
+  equal(late.rank, 2);
+});
+
+test("merge lists", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let a = new FixedSkipList(200, 1 / 2, order);
+  let b = new FixedSkipList(200, 1 / 2, order);
+  for (let i = 0; i < 200; i++) {
+    let index = data.push((Math.random() * 50) | 0) - 1;
+    (i % 2 === 0 ? a : b).insert(index);
+  }
+
+  let merged = [];
+  let left = a.cursor();
+  let right = b.cursor();
+  while (left.current > -1 || right.current > -1) {
+    let takeLeft =
+      right.current === -1 || (left.current > -1 && order(left.current, right.current) <= 0);
+    let cursor = takeLeft ? left : right;
+    merged.push(cursor.current);
+    cursor.next();
+  }
+
+  deepEqual(
+    merged.map((index) => data[index]),
+    data.slice().sort(ascending),
+  );
+});
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
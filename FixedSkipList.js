@@ -1,3 +1,20 @@
+import { Cursor } from "./Cursor.js";
+import { seededRandom } from "./seededRandom.js";
+import { SkipListError } from "./SkipListError.js";
+
+const SNAPSHOT_MAGIC = 0x534b4950; // "SKIP"
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_HEADER_LENGTH = 32;
+
+/**
+ * Change of the list reported to observers. A run of `count` indices starting with `index` was
+ * inserted at or removed from `rank`; `prev` and `next` are its neighbours on the bottom layer after
+ * the change, or -1. An update means the index kept its place but its value changed or it replaced
+ * an equal value.
+ *
+ * @typedef {{ type: "insert" | "remove" | "update", index: number, count: number, rank: number, prev: number, next: number }} SkipListEvent
+ */
+
 /**
  * Fixed capacity skip list. It doesn't contain the values, it uses numeric keys to maintain the
  * order of values (defined by the comparator). Fixed data structure allocates memory in advance
@@ -8,58 +25,198 @@ export class FixedSkipList {
    * @param {number} capacity maximum number of values that can be stored in the list
    * @param {number} ratio probability of promoting a value to next layer; defines size ratio between layers; should be more than 0 and less than 1; most commonly used values are 1/2, 1/4, 1/8.
    * @param {(a: number, b: number) => -1 | 0 | 1} compare comparator function that receives indices of values
+   * @param {{ random?: () => number, seed?: number, strict?: boolean }} [options] `random` is a source of numbers in range [0, 1) used for picking layers of inserted values, or `seed` for the built-in generator; defaults to `Math.random`. `strict` enables validation of arguments, see `SkipListError`.
    */
-  constructor(capacity, ratio, compare) {
+  constructor(capacity, ratio, compare, options = {}) {
+    let { random, seed, strict = false } = options;
+    if (strict && !(Number.isInteger(capacity) && capacity > 0)) {
+      throw new SkipListError("capacity", `Capacity must be a positive integer, got ${capacity}`);
+    }
+    if (strict && !(ratio > 0 && ratio < 1)) {
+      throw new SkipListError("ratio", `Ratio must be more than 0 and less than 1, got ${ratio}`);
+    }
+
     /** @type {number} */
     this.capacity = capacity;
     /** @type {number} */
     this.ratio = ratio;
     /** @type {(a: number, b: number) => -1 | 0 | 1} */
     this.compare = compare;
+    /** @type {() => number} */
+    this.random = random ?? (seed != null ? seededRandom(seed) : Math.random);
+    /** @type {boolean} */
+    this.strict = strict;
 
     /** @protected */
     this.currentLevel = 0;
+    /**
+     * Number of changes made to the list, iterators use it to detect modifications.
+     *
+     * @type {number}
+     */
+    this.modifications = 0;
+    /**
+     * @protected
+     * @type {Array<(event: SkipListEvent) => void>}
+     */
+    this.observers = [];
 
-    let maxLevel = Math.floor(Math.log(capacity) / Math.log(1 / ratio)) + 1;
+    let maxLevel = levelCount(capacity, ratio);
+    let laneCount = this.laneCount(maxLevel);
     let metalength = maxLevel * Uint32Array.BYTES_PER_ELEMENT;
-    let metas = new ArrayBuffer(3 * metalength);
+    let lanelength = capacity * Uint32Array.BYTES_PER_ELEMENT;
+    let lanes = 4 * metalength;
+    let widths = lanes + laneCount * lanelength;
+    let backs = widths + laneCount * lanelength;
+    let buffer = this.allocate(backs + lanelength + capacity, options);
+    /**
+     * @protected
+     * @type {Uint32Array}
+     */
+    this.heads = new Uint32Array(buffer, 0 * metalength, maxLevel);
     /**
      * @protected
      * @type {Uint32Array}
      */
-    this.heads = new Uint32Array(metas, 0 * metalength, maxLevel);
+    this.tails = new Uint32Array(buffer, 1 * metalength, maxLevel);
     /**
      * @protected
      * @type {Uint32Array}
      */
-    this.tails = new Uint32Array(metas, 1 * metalength, maxLevel);
+    this.sizes = new Uint32Array(buffer, 2 * metalength, maxLevel);
     /**
+     * Rank of each layer's head, i.e. number of values that precede it on the bottom layer.
+     *
      * @protected
      * @type {Uint32Array}
      */
-    this.sizes = new Uint32Array(metas, 2 * metalength, maxLevel);
+    this.offsets = new Uint32Array(buffer, 3 * metalength, maxLevel);
 
     /**
      * @protected
      * @type {() => number}
      */
-    this.randomLevel = randomLevelGenerator(maxLevel - 1, ratio);
+    this.randomLevel = randomLevelGenerator(maxLevel - 1, ratio, this.random);
+
+    /**
+     * @protected
+     * @type {Array<Uint32Array>}
+     */
+    this.nexts = Array.from({ length: laneCount }, (_, level) => {
+      return new Uint32Array(buffer, lanes + level * lanelength, capacity);
+    });
 
-    let lanelength = capacity * Uint32Array.BYTES_PER_ELEMENT;
-    let lanes = new ArrayBuffer(maxLevel * lanelength);
     /**
+     * Number of bottom layer steps between a value and its next value on the same layer. The tail
+     * of a layer keeps the distance to the end of the list.
+     *
      * @protected
      * @type {Array<Uint32Array>}
      */
-    this.nexts = Array.from({ length: maxLevel }, (_, level) => {
-      return new Uint32Array(lanes, level * lanelength, capacity);
+    this.spans = Array.from({ length: laneCount }, (_, level) => {
+      return new Uint32Array(buffer, widths + level * lanelength, capacity);
     });
 
     /**
      * @protected
      * @type {Array<Uint32Array>}
      */
-    this.prevs = [new Uint32Array(capacity)];
+    this.prevs = [new Uint32Array(buffer, backs, capacity)];
+
+    /**
+     * Top layer of each inserted value.
+     *
+     * @protected
+     * @type {Uint8Array}
+     */
+    this.heights = new Uint8Array(buffer, backs + lanelength, capacity);
+
+    /**
+     * Scratch space for descending operations: the last visited value on each layer and its rank.
+     *
+     * @protected
+     * @type {Int32Array}
+     */
+    this.points = new Int32Array(maxLevel);
+    /**
+     * @protected
+     * @type {Int32Array}
+     */
+    this.ranks = new Int32Array(maxLevel);
+  }
+
+  /**
+   * Build a list from a set of indices in linear time, as opposed to inserting them one by one.
+   * Unless indices are already sorted, they are sorted first using the comparator. Every index must
+   * fit the capacity. In strict mode, indices are also checked to be unique and in order.
+   *
+   * ```js
+   * let byYear = FixedSkipList.from(indices, capacity, 1 / 4, compareYear, { sorted: false });
+   * ```
+   *
+   * @param {ArrayLike<number>} indices
+   * @param {number} capacity
+   * @param {number} ratio
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ sorted?: boolean, random?: () => number, seed?: number, strict?: boolean }} [options]
+   */
+  static from(indices, capacity, ratio, compare, { sorted = false, ...options } = {}) {
+    this.fit(indices, capacity);
+    let list = new this(capacity, ratio, compare, options);
+    let order = sorted ? indices : Uint32Array.from(indices).sort(list.compare);
+    if (list.strict) list.validateOrder(order);
+    let size = order.length;
+    let points = list.points.fill(-1);
+    let ranks = list.ranks.fill(-1);
+    let prev = list.prevs[0];
+    let topLevel = 0;
+
+    for (let rank = 0; rank < size; rank++) {
+      let index = order[rank];
+      let insertLevel = list.randomLevel();
+      for (let level = 0; level <= insertLevel; level++) {
+        let point = points[level];
+        if (point > -1) {
+          list.nexts[level][point] = index;
+          list.spans[level][point] = rank - ranks[level];
+        } else {
+          list.heads[level] = index;
+          list.offsets[level] = rank;
+        }
+        points[level] = index;
+        ranks[level] = rank;
+        list.sizes[level]++;
+      }
+      if (rank > 0) prev[index] = order[rank - 1];
+      list.heights[index] = insertLevel;
+      topLevel = Math.max(insertLevel, topLevel);
+    }
+
+    for (let level = 0; level <= topLevel && points[level] > -1; level++) {
+      list.tails[level] = points[level];
+      list.spans[level][points[level]] = size - ranks[level];
+    }
+    list.currentLevel = topLevel;
+    return list;
+  }
+
+  /**
+   * Make sure the indices can be placed in a list of given capacity before building one.
+   *
+   * @protected
+   * @param {ArrayLike<number>} indices
+   * @param {number} capacity
+   */
+  static fit(indices, capacity) {
+    if (indices.length > capacity) {
+      throw new RangeError(`Cannot fit ${indices.length} indices into capacity of ${capacity}`);
+    }
+    for (let i = 0; i < indices.length; i++) {
+      let index = indices[i];
+      if (!(Number.isInteger(index) && index >= 0 && index < capacity)) {
+        throw new RangeError(`Index ${index} is out of capacity of ${capacity}`);
+      }
+    }
   }
 
   get size() {
@@ -82,6 +239,14 @@ export class FixedSkipList {
     return this.prevs[0];
   }
 
+  /**
+   * Number of bytes allocated for the state of the list, useful for comparing layouts.
+   */
+  get byteLength() {
+    let arrays = [...this.layout(), this.points, this.ranks];
+    return arrays.reduce((sum, array) => sum + array.byteLength, 0);
+  }
+
   /**
    * Whenever a new value added to a collection, insert its index to the skiplist.
    *
@@ -96,113 +261,581 @@ export class FixedSkipList {
    * @param {number} index
    */
   insert(index) {
+    if (this.strict) this.validate(index);
+    this.bisect(this.probe(index), true);
+    this.link(index, this.randomLevel());
+  }
+
+  /**
+   * Insert the index unless the list already contains an equal value. Returns the index of equal
+   * value if there is one, otherwise the inserted index.
+   *
+   * ```js
+   * let index = values.push(newValue) - 1;
+   * if (slist.insertUnique(index) !== index) values.pop();
+   * ```
+   *
+   * @param {number} index
+   */
+  insertUnique(index) {
+    if (this.strict) this.validate(index);
+    let compare = this.compare;
+    let found = this.bisect(this.probe(index), false);
+    let existing = found < this.sizes[0] ? this.after(this.points[0]) : -1;
+    if (existing > -1 && compare(index, existing) === 0) return existing;
+    this.link(index, this.randomLevel());
+    return index;
+  }
+
+  /**
+   * Insert the index or, if the list already contains an equal value, put the index in place of
+   * it. Returns the replaced index or -1 if there was nothing to replace.
+   *
+   * @param {number} index
+   */
+  upsert(index) {
+    if (this.strict) this.validate(index);
     let compare = this.compare;
-    let insertLevel = this.randomLevel();
+    let found = this.bisect(this.probe(index), false);
+    let existing = found < this.sizes[0] ? this.after(this.points[0]) : -1;
+    if (existing === -1 || compare(index, existing) !== 0) {
+      this.link(index, this.randomLevel());
+      return -1;
+    }
+
+    let height = this.heights[existing];
+    for (let level = height; level >= 0; level--) {
+      let point = this.points[level];
+      let next = this.nexts[level];
+      let span = this.spans[level];
+      next[index] = next[existing];
+      span[index] = span[existing];
+      if (point > -1) next[point] = index;
+      else this.heads[level] = index;
+      if (existing === this.tails[level]) this.tails[level] = index;
+    }
+    let prev = this.prevs[0];
+    prev[index] = prev[existing];
+    if (index !== this.tails[0]) prev[this.nexts[0][index]] = index;
+    this.heights[index] = height;
+    this.modifications++;
+    if (this.observers.length > 0) {
+      let next = index === this.tails[0] ? -1 : this.nexts[0][index];
+      this.notify("update", index, 1, found, this.points[0], next);
+    }
+    return existing;
+  }
 
-    this.currentLevel = Math.max(insertLevel, this.currentLevel);
+  /**
+   * Remove previously inserted index from all layers.
+   *
+   * @param {number} index
+   */
+  remove(index) {
+    if (this.strict) this.validate(index, true);
+    else if (this.locate(index) < 0) return;
+    this.unlink(index);
+  }
 
-    let size, head, tail, next, prev;
-    let insert = false;
+  /**
+   * Change the value behind the index and move the index to its new position if needed. The index
+   * is found before `mutate()` is called, so the value must only be changed inside of it. Neighbours
+   * of the index are checked first, and the index keeps its layers when moved. Returns true if the
+   * index has been moved.
+   *
+   * ```js
+   * slist.update(index, () => {
+   *   values[index].score += 10;
+   * });
+   * ```
+   *
+   * @param {number} index
+   * @param {() => void} mutate
+   */
+  update(index, mutate) {
+    if (this.strict) this.validate(index, true);
+    else if (this.locate(index) < 0) return (mutate(), false);
+    mutate();
+
+    let compare = this.compare;
+    let prev = index === this.heads[0] ? -1 : this.prevs[0][index];
+    let next = index === this.tails[0] ? -1 : this.nexts[0][index];
+    if ((prev === -1 || compare(prev, index) <= 0) && (next === -1 || compare(index, next) <= 0)) {
+      if (this.observers.length > 0) this.notify("update", index, 1, this.ranks[0] + 1, prev, next);
+      return false;
+    }
+
+    let height = this.heights[index];
+    this.unlink(index);
+    this.refind(index);
+    this.link(index, height);
+    return true;
+  }
+
+  /**
+   * Fill `points` for linking the index again after its value changed, starting from `points`
+   * left by `unlink()` at its old position.
+   *
+   * @protected
+   * @param {number} index
+   */
+  refind(index) {
+    let compare = this.compare;
+    let points = this.points;
+    let ranks = this.ranks;
+
+    // climb from the old position until the new one falls within a span, then descend from there
+    let level = 0;
+    for (; level < this.currentLevel; level++) {
+      let point = points[level];
+      let succ = point > -1 ? this.nexts[level][point] : this.heads[level];
+      if (point > -1 && compare(index, point) < 0) continue;
+      if (point !== this.tails[level] && compare(index, succ) >= 0) continue;
+      break;
+    }
+    for (let point = points[level], rank = ranks[level]; level >= 0; level--) {
+      let next = this.nexts[level];
+      let span = this.spans[level];
+      let tail = this.tails[level];
+      if (point > -1 && compare(index, point) < 0) {
+        point = -1;
+        rank = -1;
+      }
+      for (
+        let curr = point > -1 ? next[point] : this.heads[level],
+          currRank = point > -1 ? rank + span[point] : this.offsets[level];
+        point !== tail && compare(index, curr) >= 0;
+        currRank += span[curr], curr = next[curr]
+      ) {
+        point = curr;
+        rank = currRank;
+      }
+      points[level] = point;
+      ranks[level] = rank;
+    }
+  }
+
+  /**
+   * Remove the first index from all layers. Returns the removed index or -1 if the list is empty.
+   */
+  shift() {
+    if (this.sizes[0] === 0) return -1;
+    let head = this.heads[0];
+    this.points.fill(-1);
+    this.ranks.fill(-1);
+    this.unlink(head);
+    return head;
+  }
+
+  /**
+   * Remove the last index from all layers. Returns the removed index or -1 if the list is empty.
+   */
+  pop() {
+    if (this.sizes[0] === 0) return -1;
+    let points = this.points;
+    let head = this.heads[0];
+    let tail = this.tails[0];
+    let height = this.heights[tail];
+    let prev = this.prevs[0];
+    for (let level = this.currentLevel; level > height; level--) {
+      points[level] = this.tails[level];
+    }
+    // values preceding the tail on its layers are found by walking back the bottom layer
+    for (let level = 0, point = tail; level <= height; level++) {
+      while (point > -1 && (point === tail || this.heights[point] < level)) {
+        point = point === head ? -1 : prev[point];
+      }
+      points[level] = point;
+    }
+    this.ranks[0] = this.sizes[0] - 2;
+    this.unlink(tail);
+    return tail;
+  }
+
+  /**
+   * First index in the list or -1 if the list is empty.
+   */
+  peekFirst() {
+    return this.sizes[0] > 0 ? this.heads[0] : -1;
+  }
+
+  /**
+   * Last index in the list or -1 if the list is empty.
+   */
+  peekLast() {
+    return this.sizes[0] > 0 ? this.tails[0] : -1;
+  }
+
+  /**
+   * Find the index at given position in the list order, or -1 if the position is out of range.
+   *
+   * ```js
+   * let firstVisibleRow = slist.at(Math.floor(scrollTop / rowHeight));
+   * ```
+   *
+   * @param {number} rank
+   */
+  at(rank) {
+    if (!(rank >= 0 && rank < this.size)) return -1;
     let point = -1;
+    let pointRank = -1;
     for (let level = this.currentLevel; level >= 0; level--) {
-      insert = level <= insertLevel;
-      size = this.sizes[level];
-      head = this.heads[level];
-      tail = this.tails[level];
-      next = this.nexts[level];
-      prev = this.prevs[level];
-
-      if (insert) this.sizes[level]++;
-
-      if (size >= 1) {
-        if (compare(index, head) < 0) {
-          point = -1;
-          if (insert) {
-            this.heads[level] = index;
-            next[index] = head;
-            if (level === 0) {
-              prev[head] = index;
-            }
-          }
-        } else if (compare(index, tail) >= 0) {
-          point = tail;
-          if (insert) {
-            this.tails[level] = index;
-            next[tail] = index;
-            if (level === 0) {
-              prev[index] = tail;
-            }
-          }
-        } else {
-          for (
-            let i = 0, curr = point > -1 ? point : next[head], last = point > -1 ? -1 : head;
-            i < size /* && last !== tail */;
-            i++, last = curr, curr = next[curr]
-          ) {
-            if (compare(index, curr) < 0) {
-              point = last;
-              if (insert) {
-                // if we started with last being -1, the assumption is we always skip first iteration
-                next[last] = index;
-                next[index] = curr;
-                if (level === 0) {
-                  prev[index] = last;
-                  prev[curr] = index;
-                }
-              }
-              break;
-            }
-          }
-        }
+      let next = this.nexts[level];
+      let span = this.spans[level];
+      let tail = this.tails[level];
+      for (
+        let curr = point > -1 ? next[point] : this.heads[level],
+          currRank = point > -1 ? pointRank + span[point] : this.offsets[level];
+        point !== tail && currRank <= rank;
+        currRank += span[curr], curr = next[curr]
+      ) {
+        point = curr;
+        pointRank = currRank;
+      }
+      if (pointRank === rank) break;
+    }
+    return point;
+  }
+
+  /**
+   * Find the position of previously inserted index in the list order, or -1 if it is not there.
+   *
+   * @param {number} index
+   */
+  rankOf(index) {
+    return this.locate(index);
+  }
+
+  /**
+   * Collect indices between two positions in the list order, end position not included.
+   *
+   * @param {number} [fromRank]
+   * @param {number} [toRank]
+   */
+  slice(fromRank = 0, toRank = this.size) {
+    let from = Math.max(fromRank, 0);
+    let to = Math.min(toRank, this.size);
+    let result = new Uint32Array(Math.max(to - from, 0));
+    let next = this.next;
+    for (let i = 0, curr = this.at(from); i < result.length; i++, curr = next[curr]) {
+      result[i] = curr;
+    }
+    return result;
+  }
+
+  /**
+   * Put the index after `points` found by preceding descent, on all layers up to insert level.
+   *
+   * @protected
+   * @param {number} index
+   * @param {number} insertLevel
+   */
+  link(index, insertLevel) {
+    let points = this.points;
+    let ranks = this.ranks;
+    let size = this.sizes[0];
+    let topLevel = Math.max(insertLevel, this.currentLevel);
+    let insertRank = ranks[0] + 1;
+    for (let level = topLevel; level >= 0; level--) {
+      let point = points[level];
+      let span = this.spans[level];
+      if (level > insertLevel) {
+        if (point > -1) span[point]++;
+        else this.offsets[level]++;
+        continue;
+      }
+
+      let next = this.nexts[level];
+      if (this.sizes[level] === 0) {
+        this.heads[level] = index;
+        this.tails[level] = index;
+        this.offsets[level] = insertRank;
+        span[index] = size + 1 - insertRank;
+      } else if (point === -1) {
+        next[index] = this.heads[level];
+        span[index] = this.offsets[level] + 1 - insertRank;
+        this.heads[level] = index;
+        this.offsets[level] = insertRank;
       } else {
-        point = -1;
-        if (insert) {
-          this.heads[level] = index;
-          this.tails[level] = index;
-        }
+        next[index] = next[point];
+        next[point] = index;
+        span[index] = ranks[level] + span[point] + 1 - insertRank;
+        span[point] = insertRank - ranks[level];
+        if (point === this.tails[level]) this.tails[level] = index;
+      }
+
+      if (level === 0) {
+        let prev = this.prevs[0];
+        if (point > -1) prev[index] = point;
+        if (index !== this.tails[0]) prev[next[index]] = index;
       }
+
+      this.sizes[level]++;
+    }
+
+    this.heights[index] = insertLevel;
+    this.currentLevel = topLevel;
+    this.modifications++;
+    if (this.observers.length > 0) {
+      let next = index === this.tails[0] ? -1 : this.nexts[0][index];
+      this.notify("insert", index, 1, insertRank, points[0], next);
     }
   }
 
   /**
-   * Remove previously inserted index from all layers.
+   * Remove the index from all layers, given `points` that precede it found by preceding descent.
+   * The rank of the bottom layer point is only used to notify observers.
    *
+   * @protected
    * @param {number} index
    */
-  remove(index) {
-    let size, head, tail, next, prev;
+  unlink(index) {
+    let points = this.points;
+    let height = this.heights[index];
+    let following = index === this.tails[0] ? -1 : this.nexts[0][index];
+    for (let level = this.currentLevel; level >= 0; level--) {
+      let point = points[level];
+      let span = this.spans[level];
+      if (level > height) {
+        if (point > -1) span[point]--;
+        else this.offsets[level]--;
+        continue;
+      }
+
+      let next = this.nexts[level];
+      if (point > -1) {
+        next[point] = next[index];
+        span[point] += span[index] - 1;
+      } else {
+        this.heads[level] = next[index];
+        this.offsets[level] += span[index] - 1;
+      }
+      if (index === this.tails[level]) {
+        this.tails[level] = point > -1 ? point : this.heads[level];
+      } else if (level === 0 && point > -1) {
+        this.prevs[0][next[index]] = point;
+      }
+
+      this.sizes[level]--;
+    }
+
+    while (this.currentLevel > 0 && this.sizes[this.currentLevel] === 0) this.currentLevel--;
+    this.modifications++;
+    if (this.observers.length > 0) {
+      this.notify("remove", index, 1, this.ranks[0] + 1, points[0], following);
+    }
+  }
+
+  /**
+   * Check that the index fits the capacity and is (or is not yet) in the list. Leaves `points`
+   * filled the same way `locate()` does.
+   *
+   * @protected
+   * @param {number} index
+   * @param {boolean} [inserted]
+   */
+  validate(index, inserted = false) {
+    if (!(Number.isInteger(index) && index >= 0 && index < this.capacity)) {
+      throw new SkipListError("capacity", `Index ${index} is outside of capacity ${this.capacity}`);
+    }
+    let rank = this.locate(index);
+    if (inserted && rank < 0) {
+      throw new SkipListError("membership", `Index ${index} is not in the list`);
+    }
+    if (!inserted && rank > -1) {
+      throw new SkipListError("uniqueness", `Index ${index} is already in the list`);
+    }
+  }
+
+  /**
+   * Check that indices for building the list are unique and follow the order of the comparator.
+   *
+   * @protected
+   * @param {ArrayLike<number>} order
+   */
+  validateOrder(order) {
+    let seen = new Uint8Array(this.capacity);
+    for (let rank = 0; rank < order.length; rank++) {
+      let index = order[rank];
+      if (seen[index] === 1) {
+        throw new SkipListError("uniqueness", `Index ${index} is repeated`);
+      }
+      if (rank > 0 && this.compare(order[rank - 1], index) > 0) {
+        throw new SkipListError("order", `Index ${index} goes before ${order[rank - 1]}`);
+      }
+      seen[index] = 1;
+    }
+  }
+
+  /**
+   * Fill `points` and `ranks` with the values that precede the index on each layer. Returns the
+   * rank of the index or -1 if the index is not in the list.
+   *
+   * @protected
+   * @param {number} index
+   */
+  locate(index) {
+    if (this.sizes[0] === 0) return -1;
+    let compare = this.compare;
+    let points = this.points;
+    let ranks = this.ranks;
     let point = -1;
+    let rank = -1;
     for (let level = this.currentLevel; level >= 0; level--) {
-      size = this.sizes[level];
-      head = this.heads[level];
-      tail = this.tails[level];
-      next = this.nexts[level];
-      prev = this.prevs[level];
+      let next = this.nexts[level];
+      let span = this.spans[level];
+      let tail = this.tails[level];
       for (
-        let i = 0, curr = point > -1 ? point : head, last = -1;
-        i < size && last !== tail;
-        i++, last = curr, curr = next[curr]
+        let curr = point > -1 ? next[point] : this.heads[level],
+          currRank = point > -1 ? rank + span[point] : this.offsets[level];
+        point !== tail && compare(curr, index) < 0;
+        currRank += span[curr], curr = next[curr]
       ) {
-        if (curr === index) {
-          point = last;
-          this.sizes[level]--;
-          if (index === head) {
-            this.heads[level] = next[index];
-          }
-          if (last > -1) {
-            if (level === 0) {
-              prev[next[index]] = last;
-            }
-            next[last] = next[index];
-          }
-          if (index === tail) {
-            this.tails[level] = last > -1 ? last : head;
-          }
-          if (size === 1) this.currentLevel--;
-          break;
-        }
+        point = curr;
+        rank = currRank;
+      }
+      points[level] = point;
+      ranks[level] = rank;
+    }
+
+    // equal values are kept in insertion order, so the index can be anywhere in the run of them
+    let next = this.nexts[0];
+    let tail = this.tails[0];
+    for (
+      let curr = point > -1 ? next[point] : this.heads[0];
+      point !== tail && compare(curr, index) === 0;
+      curr = next[curr]
+    ) {
+      if (curr === index) return rank + 1;
+      point = curr;
+      rank++;
+      for (let level = this.heights[curr]; level >= 0; level--) {
+        points[level] = point;
+        ranks[level] = rank;
       }
     }
+    return -1;
+  }
+
+  /**
+   * @protected
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   * @returns {(index: number) => -1 | 0 | 1}
+   */
+  matcher(probe, key) {
+    let compare = this.compare;
+    return key != null ? (index) => ascending(probe, key(index)) : (index) => compare(probe, index);
+  }
+
+  /**
+   * Index that follows the point on the bottom layer, or the head if there is no point.
+   *
+   * @protected
+   * @param {number} point
+   */
+  after(point) {
+    return point > -1 ? this.nexts[0][point] : this.heads[0];
+  }
+
+  /**
+   * Create the buffer that holds layers of the list, see the constructor for their placement.
+   *
+   * @protected
+   * @param {number} byteLength
+   * @param {object} options options passed to the constructor
+   * @returns {ArrayBufferLike}
+   */
+  allocate(byteLength, options) {
+    return new ArrayBuffer(byteLength);
+  }
+
+  /**
+   * Number of layers that get lanes of full capacity, subclasses may store upper layers
+   * differently.
+   *
+   * @protected
+   * @param {number} maxLevel
+   */
+  laneCount(maxLevel) {
+    return maxLevel;
+  }
+
+  /**
+   * @protected
+   * @param {number} level
+   * @param {number} index
+   */
+  nextOf(level, index) {
+    return this.nexts[level][index];
+  }
+
+  /**
+   * @protected
+   * @param {number} level
+   * @param {number} index
+   */
+  spanOf(level, index) {
+    return this.spans[level][index];
+  }
+
+  /**
+   * Match function that compares the value behind the index with others, used by descending
+   * operations that insert the index.
+   *
+   * @protected
+   * @param {number} index
+   * @returns {(curr: number) => -1 | 0 | 1}
+   */
+  probe(index) {
+    let compare = this.compare;
+    return (curr) => compare(index, curr);
+  }
+
+  /**
+   * Fill `points` and `ranks` with the values that precede the insertion point defined by match
+   * function. Returns the rank of the insertion point, i.e. number of values preceding it.
+   *
+   * @protected
+   * @param {(index: number) => -1 | 0 | 1} match
+   * @param {boolean} right whether to skip values matching exactly
+   */
+  bisect(match, right) {
+    let points = this.points;
+    let ranks = this.ranks;
+    let size = this.sizes[0];
+    if (size === 0 || (right ? match(this.heads[0]) < 0 : match(this.heads[0]) <= 0)) {
+      points.fill(-1);
+      ranks.fill(-1);
+      return 0;
+    }
+    if (right ? match(this.tails[0]) >= 0 : match(this.tails[0]) > 0) {
+      for (let level = this.currentLevel; level >= 0; level--) {
+        points[level] = this.tails[level];
+        ranks[level] = size - this.spans[level][this.tails[level]];
+      }
+      return size;
+    }
+
+    let point = -1;
+    let rank = -1;
+    for (let level = this.currentLevel; level >= 0; level--) {
+      let next = this.nexts[level];
+      let span = this.spans[level];
+      let tail = this.tails[level];
+      for (
+        let curr = point > -1 ? next[point] : this.heads[level],
+          currRank = point > -1 ? rank + span[point] : this.offsets[level];
+        point !== tail && (right ? match(curr) >= 0 : match(curr) > 0);
+        currRank += span[curr], curr = next[curr]
+      ) {
+        point = curr;
+        rank = currRank;
+      }
+      points[level] = point;
+      ranks[level] = rank;
+    }
+    return rank + 1;
   }
 
   /**
@@ -284,12 +917,675 @@ export class FixedSkipList {
     return found;
   }
 
+  /**
+   * First index whose value is not less than the probe, or -1. Without key extractor the probe is
+   * an index of a value, compared using the list's comparator. With key extractor the probe is a
+   * key, compared in ascending order to keys of indices.
+   *
+   * ```js
+   * byYear.lowerBound(1900, (index) => values[index].year);
+   * ```
+   *
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  lowerBound(probe, key) {
+    return this.bisect(this.matcher(probe, key), false) < this.sizes[0]
+      ? this.after(this.points[0])
+      : -1;
+  }
+
+  /**
+   * First index whose value is greater than the probe, or -1. See `lowerBound()` for arguments.
+   *
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  upperBound(probe, key) {
+    return this.bisect(this.matcher(probe, key), true) < this.sizes[0]
+      ? this.after(this.points[0])
+      : -1;
+  }
+
+  /**
+   * Last index whose value is not greater than the probe, or -1. See `lowerBound()` for arguments.
+   *
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  floor(probe, key) {
+    this.bisect(this.matcher(probe, key), true);
+    return this.points[0];
+  }
+
+  /**
+   * First index whose value is not less than the probe, or -1. Same as `lowerBound()`.
+   *
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  ceiling(probe, key) {
+    return this.lowerBound(probe, key);
+  }
+
+  /**
+   * Whether the list has an index with value equal to the probe. See `lowerBound()` for arguments.
+   *
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  has(probe, key) {
+    let match = this.matcher(probe, key);
+    let found = this.bisect(match, false) < this.sizes[0] ? this.after(this.points[0]) : -1;
+    return found > -1 && match(found) === 0;
+  }
+
+  /**
+   * Iterate over indices whose values are equal to the probe. See `lowerBound()` for arguments.
+   *
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  equalRange(probe, key) {
+    let match = this.matcher(probe, key);
+    return this.range(match, match);
+  }
+
+  /**
+   * Iterate over indices that fall between lower and upper bounds. Bounds are match functions,
+   * same as in `bisectLeft()` and `bisectRight()`. Missing bound makes the range open-ended.
+   *
+   * ```js
+   * let since = (index) => ascending(1900, values[index].year);
+   * let until = (index) => ascending(1930, values[index].year);
+   * for (let index of byYear.range(since, until, { inclusive: [true, false] })) {
+   *   // 1900 <= year < 1930
+   * }
+   * ```
+   *
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean], reverse?: boolean }} [options]
+   */
+  *range(lower, upper, { inclusive = true, reverse = false } = {}) {
+    let [lowerInclusive, upperInclusive] = Array.isArray(inclusive)
+      ? inclusive
+      : [inclusive, inclusive];
+    let from = 0;
+    let first = this.head;
+    if (lower != null) {
+      from = this.bisect(lower, !lowerInclusive);
+      first = this.after(this.points[0]);
+    }
+    let to = this.size;
+    let last = this.tail;
+    if (upper != null) {
+      to = this.bisect(upper, upperInclusive);
+      last = this.points[0];
+    }
+    if (to <= from) return;
+    if (reverse) yield* iterate(this, this.prev, last, this.head, to - from);
+    else yield* iterate(this, this.next, first, this.tail, to - from);
+  }
+
+  /**
+   * Count indices that fall between lower and upper bounds, see `range()`.
+   *
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean] }} [options]
+   */
+  countRange(lower, upper, { inclusive = true } = {}) {
+    let [lowerInclusive, upperInclusive] = Array.isArray(inclusive)
+      ? inclusive
+      : [inclusive, inclusive];
+    let from = lower != null ? this.bisect(lower, !lowerInclusive) : 0;
+    let to = upper != null ? this.bisect(upper, upperInclusive) : this.size;
+    return Math.max(to - from, 0);
+  }
+
+  /**
+   * Remove indices that fall between lower and upper bounds, see `range()`. The run of indices is
+   * unlinked from each layer at once. Returns removed indices in list order.
+   *
+   * ```js
+   * let outdated = (index) => ascending(cutoff, values[index].date);
+   * slist.removeRange(null, outdated, { inclusive: [true, false] });
+   * ```
+   *
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean] }} [options]
+   */
+  removeRange(lower, upper, { inclusive = true } = {}) {
+    let [lowerInclusive, upperInclusive] = Array.isArray(inclusive)
+      ? inclusive
+      : [inclusive, inclusive];
+    let size = this.sizes[0];
+    let from = lower != null ? this.bisect(lower, !lowerInclusive) : 0;
+    let starts = lower != null ? this.points.slice() : new Int32Array(this.points.length).fill(-1);
+    let startRanks =
+      lower != null ? this.ranks.slice() : new Int32Array(this.ranks.length).fill(-1);
+    let to = upper != null ? this.bisect(upper, upperInclusive) : size;
+    if (to <= from) return new Uint32Array(0);
+    if (upper == null) {
+      for (let level = this.currentLevel; level >= 0; level--) {
+        this.points[level] = this.tails[level];
+        this.ranks[level] = size - this.spans[level][this.tails[level]];
+      }
+    }
+
+    let count = to - from;
+    let removed = new Uint32Array(count);
+    let removedPerLevel = new Uint32Array(this.heads.length);
+    for (let i = 0, curr = this.after(starts[0]); i < count; i++, curr = this.nexts[0][curr]) {
+      removed[i] = curr;
+      for (let level = this.heights[curr]; level >= 0; level--) removedPerLevel[level]++;
+    }
+
+    for (let level = this.currentLevel; level >= 0; level--) {
+      let start = starts[level];
+      let end = this.points[level];
+      let next = this.nexts[level];
+      let span = this.spans[level];
+      if (end === start) {
+        if (start > -1) span[start] -= count;
+        else this.offsets[level] -= count;
+        continue;
+      }
+
+      let endRank = this.ranks[level] + span[end] - count;
+      if (start > -1) {
+        next[start] = next[end];
+        span[start] = endRank - startRanks[level];
+      } else {
+        this.heads[level] = next[end];
+        this.offsets[level] = endRank;
+      }
+      if (end === this.tails[level]) {
+        this.tails[level] = start > -1 ? start : this.heads[level];
+      } else if (level === 0 && start > -1) {
+        this.prevs[0][next[end]] = start;
+      }
+      this.sizes[level] -= removedPerLevel[level];
+    }
+
+    while (this.currentLevel > 0 && this.sizes[this.currentLevel] === 0) this.currentLevel--;
+    // leave points preceding the removed run, the same way unlink() does
+    this.points.set(starts);
+    this.ranks.set(startRanks);
+    this.modifications++;
+    if (this.observers.length > 0) {
+      let next = from < this.sizes[0] ? this.after(starts[0]) : -1;
+      this.notify("remove", removed[0], count, from, starts[0], next);
+    }
+    return removed;
+  }
+
+  /**
+   * Remove all indices from the list. Layers are not reallocated.
+   */
+  clear() {
+    let size = this.sizes[0];
+    let head = this.heads[0];
+    this.heads.fill(0);
+    this.tails.fill(0);
+    this.sizes.fill(0);
+    this.offsets.fill(0);
+    this.currentLevel = 0;
+    this.modifications++;
+    if (size > 0 && this.observers.length > 0) this.notify("remove", head, size, 0, -1, -1);
+  }
+
+  /**
+   * Split the list at the probe: this list keeps values less than the probe, the rest moves to a
+   * new list of the same kind. Both lists share lanes since they hold disjoint sets of indices, so
+   * only the layers' heads and tails are rewired. Returns both lists. See `lowerBound()` for
+   * arguments.
+   *
+   * ```js
+   * let [archived, recent] = byDate.splitAt(cutoff, (index) => values[index].date);
+   * ```
+   *
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   * @returns {[this, this]}
+   */
+  splitAt(probe, key) {
+    let from = this.bisect(this.matcher(probe, key), false);
+    let rest = this.share();
+    for (let level = 0; level <= this.currentLevel; level++) {
+      let point = this.points[level];
+      let tail = this.tails[level];
+      let next = this.nexts[level];
+      let span = this.spans[level];
+      if (point !== tail || point === -1) {
+        let head = point > -1 ? next[point] : this.heads[level];
+        // the bottom layer count is the rank, only sparse upper layers are walked
+        let before = level === 0 ? from : point > -1 ? this.countUntil(level, point, head) : 0;
+        let count = this.sizes[level] - before;
+        rest.heads[level] = head;
+        rest.tails[level] = tail;
+        rest.sizes[level] = count;
+        rest.offsets[level] =
+          (point > -1 ? this.ranks[level] + span[point] : this.offsets[level]) - from;
+        rest.currentLevel = level;
+        this.sizes[level] -= count;
+      }
+      if (point > -1) {
+        this.tails[level] = point;
+        span[point] = from - this.ranks[level];
+      }
+    }
+
+    while (this.currentLevel > 0 && this.sizes[this.currentLevel] === 0) this.currentLevel--;
+    this.modifications++;
+    if (rest.sizes[0] > 0 && this.observers.length > 0) {
+      this.notify("remove", rest.heads[0], rest.sizes[0], from, from > 0 ? this.tails[0] : -1, -1);
+    }
+    return [this, rest];
+  }
+
+  /**
+   * Append all indices of another list whose values are not less than values of this list. The
+   * other list is left empty. When both lists share lanes, e.g. after `splitAt()`, only the
+   * layers' heads and tails are rewired, otherwise pointers of the other list are copied over.
+   *
+   * @param {FixedSkipList} other
+   */
+  concat(other) {
+    let size = this.sizes[0];
+    let last = size > 0 ? this.tails[0] : -1;
+    if (other.sizes[0] === 0) return this;
+    if (size > 0 && this.compare(this.tails[0], other.heads[0]) > 0) {
+      throw new SkipListError("order", `Lists overlap, index ${other.heads[0]} is out of order`);
+    }
+    let shared = this.overlap(other);
+    if (shared > -1) {
+      throw new SkipListError("uniqueness", `Index ${shared} is in both lists`);
+    }
+    if (this.nexts[0] !== other.nexts[0]) {
+      if (other.capacity > this.capacity || other.currentLevel >= this.heads.length) {
+        throw new SkipListError("capacity", `List of capacity ${other.capacity} does not fit`);
+      }
+      this.adopt(other);
+    }
+
+    for (let level = 0; level <= other.currentLevel; level++) {
+      if (this.sizes[level] === 0) {
+        this.heads[level] = other.heads[level];
+        this.offsets[level] = size + other.offsets[level];
+      } else {
+        let tail = this.tails[level];
+        this.nexts[level][tail] = other.heads[level];
+        this.spans[level][tail] += other.offsets[level];
+        if (level === 0) this.prevs[0][other.heads[0]] = tail;
+      }
+      this.tails[level] = other.tails[level];
+      this.sizes[level] += other.sizes[level];
+    }
+    for (let level = other.currentLevel + 1; level <= this.currentLevel; level++) {
+      this.spans[level][this.tails[level]] += other.sizes[0];
+    }
+
+    this.currentLevel = Math.max(this.currentLevel, other.currentLevel);
+    this.modifications++;
+    if (this.observers.length > 0) {
+      this.notify("insert", other.heads[0], other.sizes[0], size, last, -1);
+    }
+    other.clear();
+    return this;
+  }
+
+  /**
+   * Index that both this list and the other one hold, or -1. Lists that go in order can only share
+   * indices of the value where this list ends and the other one starts, so only that run is checked.
+   *
+   * @protected
+   * @param {FixedSkipList} other
+   */
+  overlap(other) {
+    if (this.size === 0 || other.size === 0) return -1;
+    let compare = this.compare;
+    let tail = this.tail;
+    let head = other.head;
+    if (compare(tail, head) !== 0) return -1;
+    let run = new Set();
+    let prev = this.prev;
+    for (
+      let i = 0, curr = tail;
+      i < this.size && compare(curr, head) === 0;
+      i++, curr = prev[curr]
+    ) {
+      run.add(curr);
+    }
+    let next = other.next;
+    for (
+      let i = 0, curr = head;
+      i < other.size && compare(curr, tail) === 0;
+      i++, curr = next[curr]
+    ) {
+      if (run.has(curr)) return curr;
+    }
+    return -1;
+  }
+
+  /**
+   * Number of values on the layer from its head to the point inclusive. Walks both sides of the
+   * point at once, so it takes as many steps as the shorter side has.
+   *
+   * @protected
+   * @param {number} level
+   * @param {number} point
+   * @param {number} rest first value after the point
+   */
+  countUntil(level, point, rest) {
+    let next = this.nexts[level];
+    let tail = this.tails[level];
+    let left = this.heads[level];
+    let right = rest;
+    let count = 1;
+    while (left !== point && right !== tail) {
+      left = next[left];
+      right = next[right];
+      count++;
+    }
+    return left === point ? count : this.sizes[level] - count;
+  }
+
+  /**
+   * Create an empty list of the same kind that shares lanes with this one.
+   *
+   * @protected
+   * @returns {this}
+   */
+  share() {
+    let list = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+    let maxLevel = this.heads.length;
+    let metas = new Uint32Array(4 * maxLevel);
+    list.heads = metas.subarray(0 * maxLevel, 1 * maxLevel);
+    list.tails = metas.subarray(1 * maxLevel, 2 * maxLevel);
+    list.sizes = metas.subarray(2 * maxLevel, 3 * maxLevel);
+    list.offsets = metas.subarray(3 * maxLevel, 4 * maxLevel);
+    list.points = new Int32Array(maxLevel);
+    list.ranks = new Int32Array(maxLevel);
+    list.currentLevel = 0;
+    list.observers = [];
+    return list;
+  }
+
+  /**
+   * Copy pointers of indices of another list into lanes of this list.
+   *
+   * @protected
+   * @param {FixedSkipList} other
+   */
+  adopt(other) {
+    for (let level = 0; level <= other.currentLevel; level++) {
+      let next = other.nexts[level];
+      let span = other.spans[level];
+      for (let i = 0, curr = other.heads[level]; i < other.sizes[level]; i++, curr = next[curr]) {
+        this.nexts[level][curr] = next[curr];
+        this.spans[level][curr] = span[curr];
+        if (level === 0) {
+          this.prevs[0][curr] = other.prevs[0][curr];
+          this.heights[curr] = other.heights[curr];
+        }
+      }
+    }
+  }
+
+  /**
+   * Walk all layers and check that the structure is consistent: values are in order, sizes, heads
+   * and tails match the layers, back pointers mirror forward pointers, each layer is a subset of
+   * the layer below, and spans match distances between values. Throws `SkipListError` naming the
+   * first violated invariant.
+   */
+  verify() {
+    let compare = this.compare;
+    let size = this.sizes[0];
+    let ranks = new Int32Array(this.capacity).fill(-1);
+    let next = this.nexts[0];
+    let prev = this.prevs[0];
+    let counts = new Uint32Array(this.heads.length);
+
+    for (
+      let i = 0, curr = this.heads[0], last = -1;
+      i < size;
+      i++, last = curr, curr = next[curr]
+    ) {
+      if (curr >= this.capacity) {
+        throw new SkipListError("capacity", `Index ${curr} at rank ${i} is outside of capacity`);
+      }
+      if (ranks[curr] > -1) {
+        throw new SkipListError("size", `Index ${curr} is reachable twice, layer 0 has a cycle`);
+      }
+      if (last > -1 && compare(last, curr) > 0) {
+        throw new SkipListError("order", `Index ${last} is followed by smaller index ${curr}`);
+      }
+      if (last > -1 && prev[curr] !== last) {
+        throw new SkipListError("prevs", `Index ${curr} points back to ${prev[curr]}, not ${last}`);
+      }
+      ranks[curr] = i;
+      for (let level = Math.min(this.heights[curr], counts.length - 1); level >= 0; level--) {
+        counts[level]++;
+      }
+      if (i === size - 1 && curr !== this.tails[0]) {
+        throw new SkipListError("tail", `Layer 0 ends with ${curr}, tail is ${this.tails[0]}`);
+      }
+    }
+
+    for (let level = 0; level < this.heads.length; level++) {
+      let levelSize = this.sizes[level];
+      if (level > this.currentLevel) {
+        if (levelSize > 0) {
+          throw new SkipListError("size", `Layer ${level} is above current level but not empty`);
+        }
+        continue;
+      }
+      if (size > 0 && levelSize === 0) {
+        throw new SkipListError("size", `Layer ${level} is below current level but empty`);
+      }
+      if (levelSize > 0 && this.offsets[level] !== ranks[this.heads[level]]) {
+        throw new SkipListError("head", `Layer ${level} head ${this.heads[level]} has wrong rank`);
+      }
+      if (counts[level] !== levelSize) {
+        throw new SkipListError(
+          "size",
+          `Layer ${level} has ${counts[level]} values, not ${levelSize}`,
+        );
+      }
+      for (
+        let i = 0, curr = this.heads[level];
+        i < levelSize;
+        i++, curr = this.nextOf(level, curr)
+      ) {
+        let rank = ranks[curr];
+        if (rank < 0 || this.heights[curr] < level) {
+          throw new SkipListError(
+            "subset",
+            `Index ${curr} on layer ${level} is not on layer below`,
+          );
+        }
+        let nextRank = i === levelSize - 1 ? size : ranks[this.nextOf(level, curr)];
+        if (i < levelSize - 1 && nextRank <= rank) {
+          throw new SkipListError("order", `Index ${curr} on layer ${level} is out of order`);
+        }
+        if (this.spanOf(level, curr) !== nextRank - rank) {
+          throw new SkipListError("span", `Index ${curr} on layer ${level} has wrong span`);
+        }
+        if (i === levelSize - 1 && curr !== this.tails[level]) {
+          throw new SkipListError(
+            "tail",
+            `Layer ${level} ends with ${curr}, tail is ${this.tails[level]}`,
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Write the state of the list into a single buffer that can be restored with `deserialize()`
+   * without comparing values again. Layers are copied as is, so the snapshot can only be restored
+   * on a platform with the same endianness.
+   */
+  serialize() {
+    let arrays = this.layout();
+    let length = arrays.reduce((sum, array) => sum + array.byteLength, SNAPSHOT_HEADER_LENGTH);
+    let buffer = new ArrayBuffer(length);
+    let header = new Uint32Array(buffer, 0, 6);
+    header[0] = SNAPSHOT_MAGIC;
+    header[1] = SNAPSHOT_VERSION;
+    header[2] = this.capacity;
+    header[3] = this.heads.length;
+    header[4] = this.currentLevel;
+    new Float64Array(buffer, 24, 1)[0] = this.ratio;
+    let offset = SNAPSHOT_HEADER_LENGTH;
+    for (let array of arrays) {
+      new Uint8Array(buffer, offset, array.byteLength).set(bytes(array));
+      offset += array.byteLength;
+    }
+    return buffer;
+  }
+
+  /**
+   * Restore the list from a buffer produced by `serialize()`. The comparator must define the same
+   * order of values as the one used by serialized list.
+   *
+   * @param {ArrayBuffer} buffer
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ random?: () => number, seed?: number }} [options]
+   */
+  static deserialize(buffer, compare, options) {
+    if (buffer.byteLength < SNAPSHOT_HEADER_LENGTH) {
+      throw new TypeError("Snapshot is too short to contain a header");
+    }
+    let header = new Uint32Array(buffer, 0, 6);
+    if (header[0] !== SNAPSHOT_MAGIC) {
+      throw new TypeError("Snapshot has unknown format or was made on different endianness");
+    }
+    if (header[1] !== SNAPSHOT_VERSION) {
+      throw new TypeError(`Snapshot version ${header[1]} is not supported`);
+    }
+    let capacity = header[2];
+    let ratio = new Float64Array(buffer, 24, 1)[0];
+    if (!(capacity > 0 && ratio > 0 && ratio < 1)) {
+      throw new TypeError(`Snapshot has invalid capacity ${capacity} or ratio ${ratio}`);
+    }
+    let maxLevel = levelCount(capacity, ratio);
+    if (header[3] !== maxLevel) {
+      throw new TypeError(
+        `Snapshot has ${header[3]} layers, expected ${maxLevel} for capacity ${capacity} and ratio ${ratio}`,
+      );
+    }
+    if (header[4] >= maxLevel) {
+      throw new TypeError(`Snapshot has current level ${header[4]} out of ${maxLevel} layers`);
+    }
+    // metas, lanes of next pointers and spans, back pointers and heights, see the constructor
+    let laneCount = this.prototype.laneCount(maxLevel);
+    let length =
+      SNAPSHOT_HEADER_LENGTH +
+      (4 * maxLevel + (2 * laneCount + 1) * capacity) * Uint32Array.BYTES_PER_ELEMENT +
+      capacity;
+    if (buffer.byteLength !== length) {
+      throw new TypeError(`Snapshot length is ${buffer.byteLength} bytes, expected ${length}`);
+    }
+
+    let list = new this(capacity, ratio, compare, options);
+    let arrays = list.layout();
+    list.currentLevel = header[4];
+    let offset = SNAPSHOT_HEADER_LENGTH;
+    for (let array of arrays) {
+      bytes(array).set(new Uint8Array(buffer, offset, array.byteLength));
+      offset += array.byteLength;
+    }
+    return list;
+  }
+
+  /**
+   * Typed arrays that hold the state of the list, in the order they are written to snapshots.
+   *
+   * @protected
+   * @returns {Array<Uint32Array | Int32Array | Uint8Array>}
+   */
+  layout() {
+    return [
+      this.heads,
+      this.tails,
+      this.sizes,
+      this.offsets,
+      ...this.nexts,
+      ...this.spans,
+      ...this.prevs,
+      this.heights,
+    ];
+  }
+
+  /**
+   * Subscribe to changes of the list. Observers are called synchronously after each change, see
+   * `SkipListEvent`. Returns a function that unsubscribes the observer.
+   *
+   * ```js
+   * slist.observe((event) => {
+   *   if (event.type === "insert") console.log(`${event.count} values added at ${event.rank}`);
+   * });
+   * ```
+   *
+   * @param {(event: SkipListEvent) => void} observer
+   */
+  observe(observer) {
+    this.observers.push(observer);
+    return () => {
+      let position = this.observers.indexOf(observer);
+      if (position > -1) this.observers.splice(position, 1);
+    };
+  }
+
+  /**
+   * @protected
+   * @param {SkipListEvent["type"]} type
+   * @param {number} index
+   * @param {number} count
+   * @param {number} rank
+   * @param {number} prev
+   * @param {number} next
+   */
+  notify(type, index, count, rank, prev, next) {
+    let event = { type, index, count, rank, prev, next };
+    // observers may query the list, which overwrites scratch space of an operation in progress
+    let points = this.points.slice();
+    let ranks = this.ranks.slice();
+    for (let observer of this.observers.slice()) observer(event);
+    this.points.set(points);
+    this.ranks.set(ranks);
+  }
+
+  /**
+   * Copy of the current order of indices, safe to iterate while the list is modified.
+   *
+   * ```js
+   * for (let index of slist.snapshot()) {
+   *   if (isExpired(values[index])) slist.remove(index);
+   * }
+   * ```
+   */
+  snapshot() {
+    return this.slice();
+  }
+
+  /**
+   * Cursor that points to the first value of the list, see `Cursor`.
+   */
+  cursor() {
+    return new Cursor(this);
+  }
+
   /**
    * @param {number} [start]
    * @param {number} [limit]
    */
   *forwards(start = this.head, limit = this.size) {
-    yield* iterate(this.next, start, this.tail, limit);
+    yield* iterate(this, this.next, start, this.tail, limit);
   }
 
   /**
@@ -297,39 +1593,74 @@ export class FixedSkipList {
    * @param {number} [limit]
    */
   *backwards(start = this.tail, limit = this.size) {
-    yield* iterate(this.prev, start, this.head, limit);
+    yield* iterate(this, this.prev, start, this.head, limit);
   }
 
   *[Symbol.iterator]() {
-    yield* iterate(this.next, this.head, this.tail, this.size);
+    yield* iterate(this, this.next, this.head, this.tail, this.size);
   }
 }
 
 /**
+ * @param {any} a
+ * @param {any} b
+ * @returns {-1 | 0 | 1}
+ */
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @param {FixedSkipList} list
  * @param {Uint32Array} pointers
  * @param {number} start
  * @param {number} finish
  * @param {number} limit
  */
-function* iterate(pointers, start, finish, limit) {
+function* iterate(list, pointers, start, finish, limit) {
+  let modifications = list.modifications;
   for (
     let i = 0, curr = start, last;
     i < limit && last !== finish;
     i++, last = curr, curr = pointers[curr]
   ) {
     yield curr;
+    if (list.modifications !== modifications) {
+      throw new SkipListError(
+        "modification",
+        "List was modified during iteration, use snapshot() to iterate over a copy",
+      );
+    }
   }
 }
 
+/**
+ * Number of layers that fit the capacity, so the top layer is expected to have a single value.
+ *
+ * @param {number} capacity
+ * @param {number} ratio
+ */
+function levelCount(capacity, ratio) {
+  return Math.floor(Math.log(capacity) / Math.log(1 / ratio)) + 1;
+}
+
+/**
+ * @param {Uint32Array | Int32Array | Uint8Array} array
+ */
+function bytes(array) {
+  return new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+}
+
 /**
  * @param {number} count
  * @param {number} ratio
+ * @param {() => number} random
  */
-function randomLevelGenerator(count, ratio) {
+function randomLevelGenerator(count, ratio, random) {
   let table = new Float64Array(count);
   for (let i = 0; i < count; i++) table[i] = ratio ** (i + 1);
   return function randomLevel() {
-    let x = Math.random();
+    let x = random();
     let lo = 0;
     let hi = count;
     while (lo < hi) {
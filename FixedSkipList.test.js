@@ -1,6 +1,8 @@
 import { test } from "node:test";
-import { deepEqual, equal } from "node:assert/strict";
+import { deepEqual, equal, throws } from "node:assert/strict";
 import { FixedSkipList as SkipList } from "./FixedSkipList.js";
+import { seededRandom } from "./seededRandom.js";
+import { SkipListError } from "./SkipListError.js";
 
 const LARGE_LIST_COUNT = 1000000;
 
@@ -31,6 +33,21 @@ test("a lot of records", () => {
   }
 });
 
+test("bulk construction of a lot of records", () => {
+  let count = LARGE_LIST_COUNT;
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let indices = new Uint32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    let value = (Math.random() * 10) | 0;
+    let index = data.push(value) - 1;
+    indices[i] = index;
+  }
+  let list = SkipList.from(indices, count, 1 / 8, order);
+  equal(list.size, count);
+});
+
 test("empty to one", () => {
   let list = new SkipList(10, 0, ascending);
   equal(list.size, 0);
@@ -75,6 +92,113 @@ test("remove from list", () => {
   deepEqual(Array.from(list), []);
 });
 
+test("insert unique", () => {
+  let data = ["c", "a", "e", "a", "c", "b", "e"];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(10, 1 / 2, order);
+
+  deepEqual(
+    data.map((_, index) => list.insertUnique(index)),
+    [0, 1, 2, 1, 0, 5, 2],
+  );
+  deepEqual(Array.from(list), [1, 5, 0, 2]);
+  deepEqual(Array.from(list.backwards()), [2, 0, 5, 1]);
+  equal(list.rankOf(0), 2);
+});
+
+test("upsert", () => {
+  let data = ["c", "a", "e", "a", "c", "b", "e"];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(10, 1 / 2, order);
+
+  deepEqual(
+    data.map((_, index) => list.upsert(index)),
+    [-1, -1, -1, 1, 0, -1, 2],
+  );
+  deepEqual(Array.from(list), [3, 5, 4, 6]);
+  deepEqual(Array.from(list.backwards()), [6, 4, 5, 3]);
+  deepEqual(Array.from(list.slice()), [3, 5, 4, 6]);
+  equal(list.rankOf(4), 2);
+  list.remove(3);
+  list.remove(6);
+  deepEqual(Array.from(list), [5, 4]);
+});
+
+test("shift and pop", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(110, 1 / 2, order);
+  equal(list.shift(), -1);
+  equal(list.pop(), -1);
+  equal(list.peekFirst(), -1);
+  equal(list.peekLast(), -1);
+
+  for (let i = 0; i < 100; i++) list.insert(data.push((Math.random() * 30) | 0) - 1);
+  let expected = data.map((_, index) => index).sort(order);
+
+  for (let i = 0; i < 30; i++) {
+    equal(list.peekFirst(), expected[0]);
+    equal(list.shift(), expected.shift());
+    equal(list.peekLast(), expected[expected.length - 1]);
+    equal(list.pop(), expected.pop());
+  }
+  equal(list.size, 40);
+  deepEqual(Array.from(list), expected);
+  deepEqual(Array.from(list.backwards()), expected.slice().reverse());
+  deepEqual(Array.from(list.slice()), expected);
+
+  list.insert(data.push(-1) - 1);
+  list.insert(data.push(100) - 1);
+  equal(list.shift(), 100);
+  equal(list.pop(), 101);
+  while (list.size > 0) equal(list.pop(), expected.pop());
+  equal(list.pop(), -1);
+  list.insert(0);
+  deepEqual(Array.from(list), [0]);
+});
+
+test("update position", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(200, 1 / 2, order);
+  for (let i = 0; i < 200; i++) list.insert(data.push((Math.random() * 50) | 0) - 1);
+
+  for (let i = 0; i < 500; i++) {
+    let index = (Math.random() * 200) | 0;
+    let delta = i % 2 === 0 ? ((Math.random() * 3) | 0) - 1 : ((Math.random() * 60) | 0) - 30;
+    list.update(index, () => {
+      data[index] += delta;
+    });
+  }
+  list.verify();
+  let expected = data.map((_, index) => index).sort(order);
+  deepEqual(
+    Array.from(list, (index) => data[index]),
+    expected.map((index) => data[index]),
+  );
+
+  let index = list.at(100);
+  equal(
+    list.update(index, () => {}),
+    false,
+  );
+  equal(
+    list.update(index, () => {
+      data[index] = -1000;
+    }),
+    true,
+  );
+  equal(list.head, index);
+  equal(
+    list.update(index, () => {
+      data[index] = 1000;
+    }),
+    true,
+  );
+  equal(list.tail, index);
+  list.verify();
+});
+
 test("find insertion points", () => {
   let data = ["A", "B", "B", "B", "D", "F"];
   let order = (ia, ib) => ascending(data[ia], data[ib]);
@@ -128,6 +252,49 @@ test("find insertion points", () => {
   );
 });
 
+test("lookup by key", () => {
+  let data = ["A", "B", "B", "B", "D", "F"];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(10, 1 / 2, order);
+  for (let i = 0; i < data.length; i++) list.insert(i);
+  let letter = (index) => data[index];
+
+  equal(list.lowerBound("B", letter), 1);
+  equal(list.upperBound("B", letter), 4);
+  equal(list.lowerBound("C", letter), 4);
+  equal(list.upperBound("C", letter), 4);
+  equal(list.lowerBound("0", letter), 0);
+  equal(list.lowerBound("G", letter), -1);
+  equal(list.upperBound("F", letter), -1);
+
+  equal(list.floor("B", letter), 3);
+  equal(list.floor("C", letter), 3);
+  equal(list.floor("0", letter), -1);
+  equal(list.floor("Z", letter), 5);
+  equal(list.ceiling("C", letter), 4);
+  equal(list.ceiling("G", letter), -1);
+
+  equal(list.has("B", letter), true);
+  equal(list.has("C", letter), false);
+  equal(list.has("Z", letter), false);
+  deepEqual(Array.from(list.equalRange("B", letter)), [1, 2, 3]);
+  deepEqual(Array.from(list.equalRange("C", letter)), []);
+
+  /*         6    7 */
+  data.push("B", "E");
+  equal(list.lowerBound(6), 1);
+  equal(list.upperBound(6), 4);
+  equal(list.floor(7), 4);
+  equal(list.has(6), true);
+  equal(list.has(7), false);
+  deepEqual(Array.from(list.equalRange(6)), [1, 2, 3]);
+
+  let empty = new SkipList(10, 1 / 2, order);
+  equal(empty.lowerBound("B", letter), -1);
+  equal(empty.floor("B", letter), -1);
+  equal(empty.has("B", letter), false);
+});
+
 test("find exact point", () => {
   let data = ["A", "B", "B", "B", "D", "F"];
   let order = (ia, ib) => ascending(data[ia], data[ib]);
@@ -212,6 +379,449 @@ test("directions", () => {
   deepEqual(Array.from(list.backwards()), [].reverse());
 });
 
+test("positional access", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(1000, 1 / 2, order);
+  let expected = () => {
+    let live = data.flatMap((value, index) => (value != null ? [index] : []));
+    return live.sort(order);
+  };
+
+  for (let i = 0; i < 1000; i++) {
+    let index = data.push((Math.random() * 100) | 0) - 1;
+    list.insert(index);
+  }
+  for (let i = 0; i < 1000; i += 3) {
+    list.remove(i);
+    data[i] = null;
+  }
+
+  let sorted = expected();
+  equal(list.size, sorted.length);
+  for (let rank = 0; rank < sorted.length; rank++) {
+    equal(list.at(rank), sorted[rank]);
+    equal(list.rankOf(sorted[rank]), rank);
+  }
+  equal(list.at(-1), -1);
+  equal(list.at(sorted.length), -1);
+  equal(list.rankOf(0), -1);
+
+  deepEqual(Array.from(list.slice(10, 20)), sorted.slice(10, 20));
+  deepEqual(Array.from(list.slice(sorted.length - 5)), sorted.slice(-5));
+  deepEqual(Array.from(list.slice(20, 10)), []);
+});
+
+test("range queries", () => {
+  let data = [1899, 1913, 1926, 1939, 1900, 1930, 1913, 1950, 1930];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(10, 1 / 2, order);
+  for (let i = 0; i < data.length; i++) list.insert(i);
+  let year = (value) => (index) => ascending(value, data[index]);
+  let years = (iterable) => Array.from(iterable, (index) => data[index]);
+
+  deepEqual(years(list.range(year(1900), year(1930))), [1900, 1913, 1913, 1926, 1930, 1930]);
+  deepEqual(years(list.range(year(1900), year(1930), { inclusive: false })), [1913, 1913, 1926]);
+  deepEqual(
+    years(list.range(year(1913), year(1930), { inclusive: [false, true] })),
+    [1926, 1930, 1930],
+  );
+  deepEqual(years(list.range(year(1930), null)), [1930, 1930, 1939, 1950]);
+  deepEqual(years(list.range(null, year(1913), { inclusive: [true, false] })), [1899, 1900]);
+  deepEqual(years(list.range()), data.slice().sort(ascending));
+  deepEqual(
+    years(list.range(year(1900), year(1930), { reverse: true })),
+    [1930, 1930, 1926, 1913, 1913, 1900],
+  );
+  deepEqual(years(list.range(year(1901), year(1912))), []);
+  deepEqual(years(list.range(year(1960), null)), []);
+  deepEqual(years(list.range(null, year(1800), { reverse: true })), []);
+
+  equal(list.countRange(year(1900), year(1930)), 6);
+  equal(list.countRange(year(1900), year(1930), { inclusive: false }), 3);
+  equal(list.countRange(year(1913), year(1913)), 2);
+  equal(list.countRange(year(1913), year(1913), { inclusive: [true, false] }), 0);
+  equal(list.countRange(null, null), data.length);
+  equal(list.countRange(year(1930), year(1900)), 0);
+});
+
+test("snapshot and restore", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(100, 1 / 4, order);
+  for (let i = 0; i < 80; i++) {
+    let index = data.push((Math.random() * 20) | 0) - 1;
+    list.insert(index);
+  }
+  for (let i = 0; i < 80; i += 5) list.remove(i);
+
+  let buffer = list.serialize();
+  let restored = SkipList.deserialize(buffer, order);
+  equal(restored.capacity, 100);
+  equal(restored.ratio, 1 / 4);
+  equal(restored.size, list.size);
+  deepEqual(Array.from(restored), Array.from(list));
+  deepEqual(Array.from(restored.backwards()), Array.from(list.backwards()));
+  equal(restored.at(10), list.at(10));
+
+  let index = data.push(7) - 1;
+  list.insert(index);
+  restored.insert(index);
+  deepEqual(Array.from(restored), Array.from(list));
+
+  throws(() => SkipList.deserialize(new ArrayBuffer(8), order), /too short/);
+  throws(() => SkipList.deserialize(new ArrayBuffer(64), order), /unknown format/);
+  throws(() => SkipList.deserialize(buffer.slice(0, buffer.byteLength - 1), order), /length/);
+  let corrupted = buffer.slice(0);
+  new Uint32Array(corrupted, 0, 6)[1] = 99;
+  throws(() => SkipList.deserialize(corrupted, order), /version 99/);
+  corrupted = buffer.slice(0);
+  new Uint32Array(corrupted, 0, 6)[3] = 2;
+  throws(() => SkipList.deserialize(corrupted, order), /layers/);
+  corrupted = buffer.slice(0);
+  new Uint32Array(corrupted, 0, 6)[2] = 0xffffffff;
+  throws(() => SkipList.deserialize(corrupted, order), TypeError);
+  corrupted = buffer.slice(0);
+  new Float64Array(corrupted, 24, 1)[0] = 2;
+  throws(() => SkipList.deserialize(corrupted, order), /ratio 2/);
+  corrupted = buffer.slice(0);
+  new Uint32Array(corrupted, 0, 6)[4] = 1000;
+  throws(() => SkipList.deserialize(corrupted, order), /current level 1000/);
+});
+
+test("seeded layout", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let listA = new SkipList(100, 1 / 2, order, { seed: 1 });
+  let listB = new SkipList(100, 1 / 2, order, { seed: 1 });
+  let listC = new SkipList(100, 1 / 2, order, { random: seededRandom(1) });
+  for (let i = 0; i < 100; i++) {
+    let index = data.push((Math.random() * 10) | 0) - 1;
+    listA.insert(index);
+    listB.insert(index);
+    listC.insert(index);
+  }
+  deepEqual(listA.serialize(), listB.serialize());
+  deepEqual(listA.serialize(), listC.serialize());
+});
+
+test("bulk construction", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let indices = [];
+  for (let i = 0; i < 200; i++) indices.push(data.push((Math.random() * 20) | 0) - 1);
+
+  let expected = indices.slice().sort(order);
+  let list = SkipList.from(indices, 300, 1 / 2, order);
+  let sorted = SkipList.from(expected, 300, 1 / 2, order, { sorted: true });
+  for (let result of [list, sorted]) {
+    equal(result.size, 200);
+    deepEqual(Array.from(result), expected);
+    deepEqual(Array.from(result.backwards()), expected.slice().reverse());
+    for (let rank = 0; rank < expected.length; rank += 3) {
+      equal(result.at(rank), expected[rank]);
+      equal(result.rankOf(expected[rank]), rank);
+    }
+  }
+
+  for (let i = 0; i < 200; i += 4) list.remove(i);
+  for (let i = 0; i < 100; i++) list.insert(data.push((Math.random() * 20) | 0) - 1);
+  expected = data.map((_, index) => index).filter((index) => index >= 200 || index % 4 !== 0);
+  deepEqual(Array.from(list), expected.sort(order));
+
+  equal(SkipList.from([], 10, 1 / 2, order).size, 0);
+  throws(() => SkipList.from([0, 1, 2], 2, 1 / 2, ascending), RangeError);
+  throws(() => SkipList.from([0, 5], 5, 1 / 2, ascending), RangeError);
+  throws(() => SkipList.from([0, -1], 5, 1 / 2, ascending), RangeError);
+  throws(() => SkipList.from([0, 2.5], 5, 1 / 2, ascending), RangeError);
+});
+
+test("remove range", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(301, 1 / 2, order);
+  for (let i = 0; i < 300; i++) list.insert(data.push((Math.random() * 100) | 0) - 1);
+  let value = (v) => (index) => ascending(v, data[index]);
+  let expected = data.map((_, index) => index).sort(order);
+  let extract = (predicate) => {
+    let removed = expected.filter((index) => predicate(data[index]));
+    expected = expected.filter((index) => !predicate(data[index]));
+    return removed;
+  };
+
+  deepEqual(
+    Array.from(list.removeRange(value(20), value(40))),
+    extract((v) => v >= 20 && v <= 40),
+  );
+  list.verify();
+  deepEqual(
+    Array.from(list.removeRange(value(50), value(60), { inclusive: false })),
+    extract((v) => v > 50 && v < 60),
+  );
+  list.verify();
+  deepEqual(
+    Array.from(list.removeRange(null, value(10), { inclusive: [true, false] })),
+    extract((v) => v < 10),
+  );
+  list.verify();
+  deepEqual(
+    Array.from(list.removeRange(value(90), null)),
+    extract((v) => v >= 90),
+  );
+  list.verify();
+  deepEqual(Array.from(list.removeRange(value(30), value(35))), []);
+  deepEqual(Array.from(list), expected);
+  equal(list.size, expected.length);
+
+  list.insert(data.push(25) - 1);
+  list.verify();
+  deepEqual(Array.from(list.removeRange()), [...expected, data.length - 1].sort(order));
+  equal(list.size, 0);
+  list.verify();
+});
+
+test("clear", () => {
+  let list = new SkipList(100, 1 / 2, ascending);
+  for (let i = 0; i < 100; i++) list.insert(i);
+  list.clear();
+  equal(list.size, 0);
+  deepEqual(Array.from(list), []);
+  list.verify();
+  list.insert(5);
+  list.insert(3);
+  deepEqual(Array.from(list), [3, 5]);
+  list.verify();
+});
+
+test("split and concat", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let value = (index) => data[index];
+  let list = new SkipList(500, 1 / 4, order);
+  for (let i = 0; i < 500; i++) list.insert(data.push((Math.random() * 1000) | 0) - 1);
+  let expected = Array.from(list);
+
+  let [left, right] = list.splitAt(400, value);
+  equal(left, list);
+  left.verify();
+  right.verify();
+  deepEqual(
+    Array.from(left),
+    expected.filter((index) => data[index] < 400),
+  );
+  deepEqual(
+    Array.from(right),
+    expected.filter((index) => data[index] >= 400),
+  );
+  equal(right.at(0), expected[left.size]);
+
+  let [none, all] = right.splitAt(-1, value);
+  equal(none.size, 0);
+  none.verify();
+  all.verify();
+  deepEqual(
+    Array.from(all),
+    expected.filter((index) => data[index] >= 400),
+  );
+
+  left.concat(all);
+  left.verify();
+  equal(all.size, 0);
+  deepEqual(Array.from(left), expected);
+  equal(left.rankOf(expected[250]), 250);
+
+  let [rest, empty] = left.splitAt(1000, value);
+  equal(empty.size, 0);
+  deepEqual(Array.from(rest), expected);
+  rest.verify();
+});
+
+test("concat lists with separate lanes", () => {
+  let data = Array.from({ length: 200 }, (_, index) => index);
+  let lower = new SkipList(200, 1 / 2, ascending);
+  let upper = new SkipList(200, 1 / 2, ascending);
+  for (let i = 0; i < 100; i++) lower.insert(i);
+  for (let i = 100; i < 200; i++) upper.insert(i);
+
+  throws(() => upper.concat(lower), SkipListError);
+  lower.concat(upper);
+  lower.verify();
+  deepEqual(Array.from(lower), data);
+  equal(upper.size, 0);
+});
+
+test("concat lists that share an index", () => {
+  let invariant = (name) => (error) => error instanceof SkipListError && error.invariant === name;
+  let left = SkipList.from([0, 1], 10, 1 / 2, ascending);
+  let right = SkipList.from([1, 2], 10, 1 / 2, ascending);
+  throws(() => left.concat(right), invariant("uniqueness"));
+  deepEqual(Array.from(left), [0, 1]);
+  deepEqual(Array.from(right), [1, 2]);
+
+  // equal values at the boundary are fine as long as indices differ
+  let data = [1, 2, 2, 2, 3];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let lower = SkipList.from([0, 1, 2], 10, 1 / 2, order);
+  let upper = SkipList.from([3, 4], 10, 1 / 2, order);
+  throws(() => lower.concat(SkipList.from([2, 4], 10, 1 / 2, order)), invariant("uniqueness"));
+  lower.concat(upper);
+  lower.verify();
+  deepEqual(Array.from(lower), [0, 1, 2, 3, 4]);
+});
+
+test("fail fast iteration", () => {
+  let list = new SkipList(100, 1 / 2, ascending);
+  for (let i = 0; i < 50; i++) list.insert(i * 2);
+
+  throws(
+    () => {
+      for (let index of list) if (index === 10) list.remove(index);
+    },
+    (error) => error instanceof SkipListError && error.invariant === "modification",
+  );
+  throws(() => {
+    for (let index of list.backwards()) if (index === 12) list.insert(11);
+  }, SkipListError);
+  throws(() => {
+    for (let index of list.range(null, null)) if (index === 20) list.clear();
+  }, SkipListError);
+
+  list.clear();
+  for (let i = 0; i < 50; i++) list.insert(i * 2);
+  for (let index of list.snapshot()) if (index % 4 === 0) list.remove(index);
+  deepEqual(
+    Array.from(list),
+    Array.from({ length: 25 }, (_, i) => i * 4 + 2),
+  );
+
+  // replacing the current index in place leaves its old pointers behind
+  let data = [];
+  let byValue = new SkipList(20, 1 / 2, (ia, ib) => ascending(data[ia], data[ib]));
+  for (let i = 0; i < 10; i++) byValue.insert(data.push(i) - 1);
+  throws(() => {
+    for (let index of byValue) if (index === 5) byValue.upsert(data.push(5) - 1);
+  }, SkipListError);
+});
+
+test("observe changes", () => {
+  let data = [10, 20, 30, 40, 20];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new SkipList(10, 1 / 2, order);
+  let events = [];
+  let unobserve = list.observe((event) => events.push(event));
+
+  list.insert(0);
+  list.insert(2);
+  list.insert(1);
+  deepEqual(events, [
+    { type: "insert", index: 0, count: 1, rank: 0, prev: -1, next: -1 },
+    { type: "insert", index: 2, count: 1, rank: 1, prev: 0, next: -1 },
+    { type: "insert", index: 1, count: 1, rank: 1, prev: 0, next: 2 },
+  ]);
+
+  events.length = 0;
+  list.upsert(4);
+  list.update(4, () => (data[4] = 15));
+  list.update(0, () => (data[0] = 35));
+  list.remove(2);
+  deepEqual(events, [
+    { type: "update", index: 4, count: 1, rank: 1, prev: 0, next: 2 },
+    { type: "update", index: 4, count: 1, rank: 1, prev: 0, next: 2 },
+    { type: "remove", index: 0, count: 1, rank: 0, prev: -1, next: 4 },
+    { type: "insert", index: 0, count: 1, rank: 2, prev: 2, next: -1 },
+    { type: "remove", index: 2, count: 1, rank: 1, prev: 4, next: 0 },
+  ]);
+  list.verify();
+
+  events.length = 0;
+  list.insert(3);
+  list.removeRange((index) => ascending(30, data[index]), null);
+  list.clear();
+  deepEqual(events, [
+    { type: "insert", index: 3, count: 1, rank: 2, prev: 0, next: -1 },
+    { type: "remove", index: 0, count: 2, rank: 1, prev: 4, next: -1 },
+    { type: "remove", index: 4, count: 1, rank: 0, prev: -1, next: -1 },
+  ]);
+
+  unobserve();
+  list.insert(0);
+  equal(events.length, 3);
+});
+
+test("strict mode", () => {
+  let invariant = (name) => (error) => error instanceof SkipListError && error.invariant === name;
+  throws(() => new SkipList(10, 0, ascending, { strict: true }), invariant("ratio"));
+  throws(() => new SkipList(10, 1, ascending, { strict: true }), invariant("ratio"));
+  throws(() => new SkipList(0, 1 / 2, ascending, { strict: true }), invariant("capacity"));
+
+  let list = new SkipList(10, 1 / 2, ascending, { strict: true });
+  list.insert(4);
+  list.insert(2);
+  throws(() => list.insert(4), invariant("uniqueness"));
+  throws(() => list.insert(10), invariant("capacity"));
+  throws(() => list.insert(-1), invariant("capacity"));
+  throws(() => list.insert(1.5), invariant("capacity"));
+  throws(() => list.remove(3), invariant("membership"));
+  throws(() => list.upsert(2), invariant("uniqueness"));
+  list.remove(4);
+  throws(() => list.remove(4), invariant("membership"));
+  deepEqual(Array.from(list), [2]);
+  list.verify();
+
+  let strict = { strict: true };
+  throws(() => SkipList.from([3, 1, 3], 10, 1 / 2, ascending, strict), invariant("uniqueness"));
+  throws(
+    () => SkipList.from([1, 3, 2], 10, 1 / 2, ascending, { sorted: true, ...strict }),
+    invariant("order"),
+  );
+  deepEqual(Array.from(SkipList.from([3, 1, 2], 10, 1 / 2, ascending, strict)), [1, 2, 3]);
+});
+
+test("verify invariants", () => {
+  let invariant = (name) => (error) => error instanceof SkipListError && error.invariant === name;
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let build = () => {
+    let list = new SkipList(100, 1 / 2, order, { seed: 3 });
+    for (let i = 0; i < 50; i++) list.insert(i);
+    return list;
+  };
+  for (let i = 0; i < 50; i++) data.push(i * 2);
+
+  let list = build();
+  list.verify();
+  for (let i = 0; i < 50; i += 3) list.remove(i);
+  list.shift();
+  list.pop();
+  list.verify();
+
+  list = build();
+  let [a, b] = [list.at(10), list.at(40)];
+  [data[a], data[b]] = [data[b], data[a]];
+  throws(() => list.verify(), invariant("order"));
+  [data[a], data[b]] = [data[b], data[a]];
+
+  list = build();
+  list.sizes[0]--;
+  throws(() => list.verify(), invariant("tail"));
+
+  list = build();
+  list.prevs[0][list.at(5)] = list.at(7);
+  throws(() => list.verify(), invariant("prevs"));
+
+  list = build();
+  list.spans[0][list.at(5)]++;
+  throws(() => list.verify(), invariant("span"));
+
+  list = build();
+  list.tails[1] = list.heads[1];
+  throws(() => list.verify(), invariant("tail"));
+
+  list = build();
+  list.sizes[1]++;
+  throws(() => list.verify(), invariant("size"));
+});
+
 function ascending(a, b) {
   return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
 }
@@ -0,0 +1,99 @@
+import { FixedSkipList } from "./FixedSkipList.js";
+
+/**
+ * Skip list that reallocates its layers when an index exceeds current capacity. Useful when the
+ * volume of data is not known in advance and allocating the upper bound upfront is wasteful.
+ */
+export class GrowableSkipList extends FixedSkipList {
+  /**
+   * Build a list from a set of indices, allocating enough capacity to fit the largest of them.
+   *
+   * @param {ArrayLike<number>} indices
+   * @param {number} capacity
+   * @param {number} ratio
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ sorted?: boolean, random?: () => number, seed?: number, strict?: boolean }} [options]
+   */
+  static from(indices, capacity, ratio, compare, options) {
+    let fit = Math.max(capacity, indices.length);
+    for (let i = 0; i < indices.length; i++) fit = Math.max(fit, indices[i] + 1);
+    return super.from(indices, fit, ratio, compare, options);
+  }
+
+  /**
+   * @param {number} index
+   */
+  insert(index) {
+    this.ensure(index);
+    super.insert(index);
+  }
+
+  /**
+   * @param {number} index
+   */
+  insertUnique(index) {
+    this.ensure(index);
+    return super.insertUnique(index);
+  }
+
+  /**
+   * @param {number} index
+   */
+  upsert(index) {
+    this.ensure(index);
+    return super.upsert(index);
+  }
+
+  /**
+   * @param {FixedSkipList} other
+   */
+  concat(other) {
+    if (other.capacity > this.capacity) this.grow(other.capacity);
+    return super.concat(other);
+  }
+
+  /**
+   * Grow the list, doubling its capacity at least, if the index does not fit.
+   *
+   * @protected
+   * @param {number} index
+   */
+  ensure(index) {
+    if (index >= this.capacity) this.grow(Math.max(index + 1, this.capacity * 2));
+  }
+
+  /**
+   * Reallocate layers to fit the new capacity. Number of layers is recomputed, existing pointers
+   * are copied over.
+   *
+   * @param {number} capacity
+   */
+  grow(capacity) {
+    if (capacity <= this.capacity) return;
+    let layout = new GrowableSkipList(capacity, this.ratio, this.compare, { random: this.random });
+
+    layout.heads.set(this.heads);
+    layout.tails.set(this.tails);
+    layout.sizes.set(this.sizes);
+    layout.offsets.set(this.offsets);
+    for (let level = 0; level < this.nexts.length; level++) {
+      layout.nexts[level].set(this.nexts[level]);
+      layout.spans[level].set(this.spans[level]);
+    }
+    layout.prevs[0].set(this.prevs[0]);
+    layout.heights.set(this.heights);
+
+    this.capacity = capacity;
+    this.heads = layout.heads;
+    this.tails = layout.tails;
+    this.sizes = layout.sizes;
+    this.offsets = layout.offsets;
+    this.randomLevel = layout.randomLevel;
+    this.nexts = layout.nexts;
+    this.spans = layout.spans;
+    this.prevs = layout.prevs;
+    this.heights = layout.heights;
+    this.points = layout.points;
+    this.ranks = layout.ranks;
+  }
+}
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import { deepEqual, equal } from "node:assert/strict";
+import { GrowableSkipList } from "./GrowableSkipList.js";
+
+test("grow on insert", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new GrowableSkipList(4, 1 / 2, order);
+
+  for (let i = 0; i < 1000; i++) {
+    let index = data.push((Math.random() * 100) | 0) - 1;
+    list.insert(index);
+  }
+
+  let sorted = data.map((_, index) => index).sort(order);
+  equal(list.size, 1000);
+  equal(list.capacity, 1024);
+  deepEqual(Array.from(list), sorted);
+  deepEqual(Array.from(list.backwards()), sorted.slice().reverse());
+  for (let rank = 0; rank < sorted.length; rank += 7) {
+    equal(list.at(rank), sorted[rank]);
+  }
+
+  for (let i = 0; i < 1000; i += 2) list.remove(i);
+  deepEqual(
+    Array.from(list),
+    sorted.filter((index) => index % 2 === 1),
+  );
+});
+
+test("explicit grow", () => {
+  let list = new GrowableSkipList(2, 1 / 2, ascending);
+  list.insert(1);
+  list.insert(0);
+  list.grow(100);
+  equal(list.capacity, 100);
+  equal(list.nexts.length, 7);
+  list.insert(50);
+  list.insert(25);
+  deepEqual(Array.from(list), [0, 1, 25, 50]);
+  list.grow(10);
+  equal(list.capacity, 100);
+});
+
+test("grow on insertUnique and upsert", () => {
+  let list = new GrowableSkipList(4, 1 / 2, ascending);
+  equal(list.insertUnique(10), 10);
+  equal(list.capacity, 11);
+  equal(list.insertUnique(10), 10);
+  equal(list.upsert(30), -1);
+  equal(list.capacity, 31);
+  equal(list.upsert(30), 30);
+  deepEqual(Array.from(list), [10, 30]);
+  list.verify();
+});
+
+test("concat grows to fit other list", () => {
+  let lower = new GrowableSkipList(4, 1 / 2, ascending);
+  let upper = new GrowableSkipList(4, 1 / 2, ascending);
+  for (let i = 0; i < 10; i++) lower.insert(i);
+  for (let i = 10; i < 100; i++) upper.insert(i);
+  lower.concat(upper);
+  equal(lower.capacity, upper.capacity);
+  equal(lower.size, 100);
+  deepEqual(
+    Array.from(lower),
+    Array.from({ length: 100 }, (_, index) => index),
+  );
+  lower.verify();
+});
+
+test("bulk construction grows to fit indices", () => {
+  let indices = Array.from({ length: 9 }, (_, index) => index);
+  let list = GrowableSkipList.from(indices, 4, 1 / 2, ascending);
+  equal(list.capacity, 9);
+  deepEqual(Array.from(list), indices);
+  list.insert(20);
+  equal(list.capacity, 21);
+  list.verify();
+  equal(GrowableSkipList.from([3, 1], 10, 1 / 2, ascending).capacity, 10);
+});
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
@@ -8,8 +8,12 @@ import ts from "typescript";
 import Vinyl from "vinyl";
 
 export async function build() {
-  let bundle = await rollup({ input: "skipstruct.js" });
-  await bundle.write({ dir: "build", format: "esm" });
+  // persistent list depends on node:fs, so it has an entry of its own to keep the main one portable
+  let bundle = await rollup({
+    input: { skipstruct: "skipstruct.js", persistent: "PersistentSkipList.js" },
+    external: [/^node:/],
+  });
+  await bundle.write({ dir: "build", format: "esm", chunkFileNames: "[name].js" });
   await Promise.all([
     pipeline(src(["build/*.js"]), declarations, dest("build")),
     pipeline(src("LICENSE"), dest("build")),
@@ -83,6 +87,7 @@ function generatePackageJSON(contents) {
     types: "./skipstruct.d.ts",
     exports: {
       ".": "./skipstruct.js",
+      "./persistent": "./persistent.js",
     },
     files: ["*.js", "*.d.ts"],
     sideEffects: false,
@@ -0,0 +1,324 @@
+import { FixedSkipList } from "./FixedSkipList.js";
+
+/**
+ * Collection of rows with a set of named indexes that are kept in sync on every change. Each index
+ * is a skip list that orders rows by a key extracted from them.
+ *
+ * ```js
+ * let movies = new IndexedCollection(1000, {
+ *   year: (movie) => movie.year,
+ *   country: (movie) => movie.country,
+ * });
+ * movies.add({ year: 1939, country: "Italy" });
+ * let result = movies.where("year").between(1900, 1930).orderBy("country");
+ * ```
+ *
+ * @template T
+ */
+export class IndexedCollection {
+  /**
+   * @param {number} capacity maximum number of rows that can be stored in the collection
+   * @param {Record<string, (row: T) => any>} indexes key extractors by index name
+   * @param {{ ratio?: number, compare?: (a: any, b: any) => -1 | 0 | 1 }} [options] ratio of index skip lists and comparator of extracted keys
+   */
+  constructor(capacity, indexes, { ratio = 1 / 4, compare = ascending } = {}) {
+    /** @type {(a: any, b: any) => -1 | 0 | 1} */
+    this.compare = compare;
+
+    /**
+     * @protected
+     * @type {Array<T | undefined>}
+     */
+    this.rows = new Array(capacity);
+    /** @protected */
+    this.free = new Uint32Array(capacity);
+    /** @protected */
+    this.freeCount = 0;
+    /** @protected */
+    this.allocated = 0;
+    /** @protected */
+    this.count = 0;
+
+    /**
+     * @protected
+     * @type {Map<string, { key: (row: T) => any, list: FixedSkipList }>}
+     */
+    this.indexes = new Map();
+    for (let [name, key] of Object.entries(indexes)) {
+      let rows = this.rows;
+      let list = new FixedSkipList(capacity, ratio, (a, b) => {
+        return compare(key(/** @type {T} */ (rows[a])), key(/** @type {T} */ (rows[b])));
+      });
+      this.indexes.set(name, { key, list });
+    }
+  }
+
+  get size() {
+    return this.count;
+  }
+
+  /**
+   * Add a row to the collection and all its indexes. Returns id of the row.
+   *
+   * @param {T} row
+   */
+  add(row) {
+    let id = this.allocate();
+    this.rows[id] = row;
+    this.count++;
+    for (let { list } of this.indexes.values()) list.insert(id);
+    return id;
+  }
+
+  /**
+   * @param {number} id
+   */
+  get(id) {
+    return this.rows[id];
+  }
+
+  /**
+   * Replace a row and reposition it in all indexes. The row that is currently stored must not be
+   * mutated before calling this method, otherwise indexes are not able to find it. Returns false
+   * when there is no row with the id.
+   *
+   * @param {number} id
+   * @param {T} row
+   */
+  update(id, row) {
+    if (this.rows[id] === undefined) return false;
+    for (let { list } of this.indexes.values()) list.remove(id);
+    this.rows[id] = row;
+    for (let { list } of this.indexes.values()) list.insert(id);
+    return true;
+  }
+
+  /**
+   * @param {number} id
+   */
+  delete(id) {
+    if (this.rows[id] === undefined) return false;
+    for (let { list } of this.indexes.values()) list.remove(id);
+    this.rows[id] = undefined;
+    this.free[this.freeCount++] = id;
+    this.count--;
+    return true;
+  }
+
+  /**
+   * Iterate over ids of all rows in the order of storage.
+   *
+   * @returns {Generator<number>}
+   */
+  *ids() {
+    for (let id = 0; id < this.allocated; id++) {
+      if (this.rows[id] !== undefined) yield id;
+    }
+  }
+
+  /**
+   * Start a query with a condition on the index.
+   *
+   * @param {string} name
+   */
+  where(name) {
+    return new Query(this).where(name);
+  }
+
+  /**
+   * Start a query that lists all rows in order of the index.
+   *
+   * @param {string} name
+   * @param {boolean} [reverse]
+   */
+  orderBy(name, reverse) {
+    return new Query(this).orderBy(name, reverse);
+  }
+
+  /**
+   * Key extractor and skip list of the index.
+   *
+   * @param {string} name
+   */
+  index(name) {
+    let index = this.indexes.get(name);
+    if (index == null) throw new RangeError(`Index "${name}" is not defined`);
+    return index;
+  }
+
+  /**
+   * @protected
+   */
+  allocate() {
+    if (this.freeCount > 0) return this.free[--this.freeCount];
+    if (this.allocated < this.rows.length) return this.allocated++;
+    throw new RangeError(`IndexedCollection capacity of ${this.rows.length} rows exceeded`);
+  }
+}
+
+/**
+ * Query over indexed collection. Conditions are inclusive ranges of index keys, `null` bound makes
+ * the range open-ended. The query is driven by the index that has the least amount of rows in its
+ * range, other conditions are checked against the rows found.
+ *
+ * @template T
+ */
+export class Query {
+  /**
+   * @param {IndexedCollection<T>} collection
+   */
+  constructor(collection) {
+    /** @protected */
+    this.collection = collection;
+    /**
+     * @protected
+     * @type {Array<{ name: string, lower: any, upper: any }>}
+     */
+    this.conditions = [];
+    /**
+     * @protected
+     * @type {string | null}
+     */
+    this.field = null;
+    /**
+     * @protected
+     * @type {{ name: string, reverse: boolean } | null}
+     */
+    this.order = null;
+  }
+
+  /**
+   * @param {string} name
+   */
+  where(name) {
+    this.collection.index(name);
+    this.field = name;
+    return this;
+  }
+
+  /**
+   * @param {any} lower
+   * @param {any} upper
+   */
+  between(lower, upper) {
+    if (this.field == null) throw new TypeError("Condition must follow where()");
+    this.conditions.push({ name: this.field, lower, upper });
+    this.field = null;
+    return this;
+  }
+
+  /**
+   * @param {any} value
+   */
+  equals(value) {
+    return this.between(value, value);
+  }
+
+  /**
+   * @param {string} name
+   * @param {boolean} [reverse]
+   */
+  orderBy(name, reverse = false) {
+    this.collection.index(name);
+    this.order = { name, reverse };
+    return this;
+  }
+
+  /**
+   * Pick the condition with the smallest number of matching rows. Returns the name of its index
+   * and the number of rows in its range, or null when there are no conditions.
+   */
+  plan() {
+    let best = null;
+    for (let condition of this.conditions) {
+      let { list } = this.collection.index(condition.name);
+      let count = list.countRange(...this.bounds(condition));
+      if (best == null || count < best.count) best = { name: condition.name, count };
+    }
+    return best;
+  }
+
+  /**
+   * Iterate over ids of matching rows.
+   *
+   * @returns {Generator<number>}
+   */
+  *ids() {
+    let plan = this.plan();
+    let order = this.order;
+    if (plan == null) {
+      if (order == null) yield* this.collection.ids();
+      else yield* this.collection.index(order.name).list.range(null, null, order);
+      return;
+    }
+
+    let driver = /** @type {{ name: string, lower: any, upper: any }} */ (
+      this.conditions.find((condition) => condition.name === plan.name)
+    );
+    let rest = this.conditions.filter((condition) => condition !== driver);
+    let { list } = this.collection.index(driver.name);
+    let sorted = order == null || order.name === driver.name;
+    let ids = list.range(...this.bounds(driver), { reverse: sorted && order?.reverse });
+    let matches = [];
+    for (let id of ids) {
+      if (!rest.every((condition) => this.matches(id, condition))) continue;
+      if (sorted) yield id;
+      else matches.push(id);
+    }
+    if (sorted || order == null) return;
+
+    let compare = this.collection.index(order.name).list.compare;
+    matches.sort(order.reverse ? (a, b) => compare(b, a) : compare);
+    yield* matches;
+  }
+
+  count() {
+    let count = 0;
+    for (let _ of this.ids()) count++;
+    return count;
+  }
+
+  /**
+   * @returns {Generator<T>}
+   */
+  *[Symbol.iterator]() {
+    for (let id of this.ids()) yield /** @type {T} */ (this.collection.get(id));
+  }
+
+  /**
+   * @protected
+   * @param {{ name: string, lower: any, upper: any }} condition
+   * @returns {[((id: number) => -1 | 0 | 1) | null, ((id: number) => -1 | 0 | 1) | null]}
+   */
+  bounds({ name, lower, upper }) {
+    let { key } = this.collection.index(name);
+    let compare = this.collection.compare;
+    let collection = this.collection;
+    return [
+      lower != null ? (id) => compare(lower, key(/** @type {T} */ (collection.get(id)))) : null,
+      upper != null ? (id) => compare(upper, key(/** @type {T} */ (collection.get(id)))) : null,
+    ];
+  }
+
+  /**
+   * @protected
+   * @param {number} id
+   * @param {{ name: string, lower: any, upper: any }} condition
+   */
+  matches(id, { name, lower, upper }) {
+    let value = this.collection.index(name).key(/** @type {T} */ (this.collection.get(id)));
+    let compare = this.collection.compare;
+    return (
+      (lower == null || compare(lower, value) <= 0) && (upper == null || compare(value, upper) <= 0)
+    );
+  }
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {-1 | 0 | 1}
+ */
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
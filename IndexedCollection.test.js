@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import { deepEqual, equal, throws } from "node:assert/strict";
+import { IndexedCollection } from "./IndexedCollection.js";
+
+let movies = [
+  { year: 1939, country: "Italy" },
+  { year: 1926, country: "Germany" },
+  { year: 1899, country: "France" },
+  { year: 1913, country: "England" },
+  { year: 1927, country: "France" },
+  { year: 1920, country: "Germany" },
+];
+
+test("indexes stay in sync", () => {
+  let collection = new IndexedCollection(10, {
+    year: (movie) => movie.year,
+    country: (movie) => movie.country,
+  });
+  let ids = movies.map((movie) => collection.add(movie));
+  equal(collection.size, 6);
+  deepEqual(Array.from(collection.index("year").list), [2, 3, 5, 1, 4, 0]);
+  deepEqual(Array.from(collection.index("country").list), [3, 2, 4, 1, 5, 0]);
+
+  equal(collection.update(ids[0], { year: 1900, country: "Austria" }), true);
+  deepEqual(Array.from(collection.index("year").list), [2, 0, 3, 5, 1, 4]);
+  deepEqual(Array.from(collection.index("country").list), [0, 3, 2, 4, 1, 5]);
+
+  equal(collection.delete(ids[2]), true);
+  equal(collection.delete(ids[2]), false);
+  equal(collection.size, 5);
+  deepEqual(Array.from(collection.index("year").list), [0, 3, 5, 1, 4]);
+  deepEqual(Array.from(collection.ids()), [0, 1, 3, 4, 5]);
+  equal(collection.update(ids[2], { year: 1899, country: "France" }), false);
+  equal(collection.update(9, { year: 1899, country: "France" }), false);
+  equal(collection.size, 5);
+  deepEqual(Array.from(collection.index("year").list), [0, 3, 5, 1, 4]);
+  deepEqual(Array.from(collection.ids()), [0, 1, 3, 4, 5]);
+
+  equal(collection.add({ year: 1950, country: "Spain" }), 2);
+  deepEqual(Array.from(collection.index("country").list), [0, 3, 4, 1, 5, 2]);
+});
+
+test("queries", () => {
+  let collection = new IndexedCollection(10, {
+    year: (movie) => movie.year,
+    country: (movie) => movie.country,
+  });
+  for (let movie of movies) collection.add(movie);
+
+  let years = (query) => Array.from(query, (movie) => movie.year);
+  deepEqual(years(collection.where("year").between(1900, 1930)), [1913, 1920, 1926, 1927]);
+  deepEqual(
+    years(collection.where("year").between(1900, 1930).orderBy("country")),
+    [1913, 1927, 1920, 1926],
+  );
+  deepEqual(
+    years(collection.where("year").between(1900, 1930).orderBy("year", true)),
+    [1927, 1926, 1920, 1913],
+  );
+  deepEqual(years(collection.where("year").between(1920, null)), [1920, 1926, 1927, 1939]);
+  deepEqual(years(collection.where("country").equals("France")), [1899, 1927]);
+  deepEqual(years(collection.orderBy("year", true)), [1939, 1927, 1926, 1920, 1913, 1899]);
+  equal(collection.where("year").between(1900, 1930).count(), 4);
+
+  let query = collection.where("year").between(1900, 1930).where("country").equals("Germany");
+  deepEqual(query.plan(), { name: "country", count: 2 });
+  deepEqual(years(query), [1926, 1920]);
+  deepEqual(years(query.orderBy("year")), [1920, 1926]);
+
+  query = collection.where("year").between(1920, 1930).where("country").between("A", "H");
+  deepEqual(query.plan(), { name: "year", count: 3 });
+  deepEqual(years(query), [1920, 1926, 1927]);
+
+  throws(() => collection.where("title"), RangeError);
+});
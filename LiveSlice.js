@@ -0,0 +1,147 @@
+/** @typedef {import("./FixedSkipList.js").FixedSkipList} FixedSkipList */
+/** @typedef {import("./FixedSkipList.js").SkipListEvent} SkipListEvent */
+
+/**
+ * Change of visible rows, in terms of `Array.prototype.splice()`.
+ *
+ * @typedef {{ start: number, deleteCount: number, items: Array<number> }} Splice
+ */
+
+/**
+ * Window of consecutive ranks of a skip list, kept up to date as the list changes. Each change of
+ * the list is turned into splices of visible rows, so a view can patch rendered rows instead of
+ * reading the whole window again.
+ *
+ * ```js
+ * let visible = new LiveSlice(byDate, 0, 50, ({ start, deleteCount, items }) => {
+ *   table.splice(start, deleteCount, ...items.map((index) => renderRow(values[index])));
+ * });
+ * visible.moveTo(100);
+ * ```
+ */
+export class LiveSlice {
+  /**
+   * @param {FixedSkipList} list
+   * @param {number} start rank of the first visible row
+   * @param {number} length number of visible rows
+   * @param {(splice: Splice) => void} onSplice
+   */
+  constructor(list, start, length, onSplice) {
+    /**
+     * @protected
+     * @type {FixedSkipList}
+     */
+    this.list = list;
+    /** @type {number} */
+    this.start = Math.max(start, 0);
+    /** @type {number} */
+    this.length = length;
+    /**
+     * @protected
+     * @type {(splice: Splice) => void}
+     */
+    this.onSplice = onSplice;
+    /**
+     * Indices of visible rows.
+     *
+     * @type {Array<number>}
+     */
+    this.rows = Array.from(list.slice(this.start, this.start + length));
+    /**
+     * @protected
+     * @type {() => void}
+     */
+    this.unobserve = list.observe((event) => this.apply(event));
+  }
+
+  /**
+   * Scroll the window to a new first rank. Rows that stay visible are kept.
+   *
+   * @param {number} start
+   */
+  moveTo(start) {
+    let rows = this.rows;
+    let delta = Math.max(start, 0) - this.start;
+    this.start += delta;
+    if (Math.abs(delta) >= this.length) {
+      this.splice(0, rows.length, this.fetch(0, this.length));
+    } else if (delta > 0) {
+      this.splice(0, Math.min(delta, rows.length), []);
+      this.fill();
+    } else if (delta < 0) {
+      this.splice(0, 0, this.fetch(0, -delta));
+      this.trim();
+    }
+  }
+
+  /**
+   * Stop following changes of the list.
+   */
+  close() {
+    this.unobserve();
+  }
+
+  /**
+   * @protected
+   * @param {SkipListEvent} event
+   */
+  apply(event) {
+    let rows = this.rows;
+    let position = event.rank - this.start;
+    let at = Math.max(position, 0);
+    if (event.type === "update") {
+      if (position >= 0 && position < rows.length) this.splice(position, 1, [event.index]);
+    } else if (event.type === "insert") {
+      // values inserted before the window push the same number of rows into it from the top
+      let count = Math.min(event.count, this.length - at);
+      if (count > 0 && at <= rows.length) {
+        this.splice(at, 0, this.fetch(at, at + count));
+        this.trim();
+      }
+    } else {
+      // values removed before the window pull the same number of rows out of it from the top
+      let count = Math.min(event.count, rows.length - at);
+      if (count > 0) {
+        this.splice(at, count, []);
+        this.fill();
+      }
+    }
+  }
+
+  /**
+   * @protected
+   * @param {number} from
+   * @param {number} to
+   */
+  fetch(from, to) {
+    return Array.from(this.list.slice(this.start + from, this.start + to));
+  }
+
+  /**
+   * @protected
+   */
+  fill() {
+    let items = this.fetch(this.rows.length, this.length);
+    if (items.length > 0) this.splice(this.rows.length, 0, items);
+  }
+
+  /**
+   * @protected
+   */
+  trim() {
+    let excess = this.rows.length - this.length;
+    if (excess > 0) this.splice(this.length, excess, []);
+  }
+
+  /**
+   * @protected
+   * @param {number} start
+   * @param {number} deleteCount
+   * @param {Array<number>} items
+   */
+  splice(start, deleteCount, items) {
+    if (deleteCount === 0 && items.length === 0) return;
+    this.rows.splice(start, deleteCount, ...items);
+    this.onSplice({ start, deleteCount, items });
+  }
+}
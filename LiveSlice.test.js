@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import { deepEqual, equal } from "node:assert/strict";
+import { FixedSkipList } from "./FixedSkipList.js";
+import { LiveSlice } from "./LiveSlice.js";
+
+test("follow changes of the list", () => {
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let list = new FixedSkipList(1000, 1 / 4, order);
+  for (let i = 0; i < 100; i++) list.insert(data.push((Math.random() * 100) | 0) - 1);
+
+  let rendered = [];
+  let slice = new LiveSlice(list, 20, 10, ({ start, deleteCount, items }) => {
+    rendered.splice(start, deleteCount, ...items);
+  });
+  rendered = slice.rows.slice();
+  let check = () => {
+    deepEqual(slice.rows, Array.from(list.slice(slice.start, slice.start + slice.length)));
+    deepEqual(rendered, slice.rows);
+  };
+
+  for (let i = 0; i < 500; i++) {
+    let action = Math.random();
+    if (action < 0.4 || list.size === 0) {
+      list.insert(data.push((Math.random() * 100) | 0) - 1);
+    } else if (action < 0.7) {
+      list.remove(list.at((Math.random() * list.size) | 0));
+    } else if (action < 0.8) {
+      let index = list.at((Math.random() * list.size) | 0);
+      list.update(index, () => (data[index] = (Math.random() * 100) | 0));
+    } else if (action < 0.85) {
+      let lower = (Math.random() * 100) | 0;
+      list.removeRange(
+        (index) => ascending(lower, data[index]),
+        (index) => ascending(lower + 5, data[index]),
+      );
+    } else if (action < 0.9) {
+      action < 0.875 ? list.shift() : list.pop();
+    } else {
+      slice.moveTo((Math.random() * 40) | 0);
+    }
+    check();
+  }
+
+  list.clear();
+  check();
+  equal(slice.rows.length, 0);
+});
+
+test("split and concat", () => {
+  let list = new FixedSkipList(100, 1 / 2, ascending);
+  for (let i = 0; i < 100; i++) list.insert(i);
+  let splices = [];
+  let slice = new LiveSlice(list, 40, 20, (splice) => splices.push(splice));
+
+  let [, rest] = list.splitAt(50);
+  deepEqual(
+    slice.rows,
+    Array.from({ length: 10 }, (_, i) => 40 + i),
+  );
+  deepEqual(splices, [{ start: 10, deleteCount: 10, items: [] }]);
+
+  list.concat(rest);
+  deepEqual(
+    slice.rows,
+    Array.from({ length: 20 }, (_, i) => 40 + i),
+  );
+  equal(splices.length, 2);
+});
+
+test("close", () => {
+  let list = new FixedSkipList(10, 1 / 2, ascending);
+  let splices = [];
+  let slice = new LiveSlice(list, 0, 5, (splice) => splices.push(splice));
+  list.insert(1);
+  slice.close();
+  list.insert(2);
+  deepEqual(splices, [{ start: 0, deleteCount: 0, items: [1] }]);
+  deepEqual(slice.rows, [1]);
+});
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
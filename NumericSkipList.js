@@ -0,0 +1,148 @@
+import { FixedSkipList } from "./FixedSkipList.js";
+
+/**
+ * Skip list over a typed array of numeric keys addressed by index. Keys are compared inline instead
+ * of calling a comparator, which makes the list considerably faster for large volumes of data.
+ * Search methods accept a plain key in place of match function.
+ *
+ * ```js
+ * let years = new Int32Array(capacity);
+ * let byYear = new NumericSkipList(capacity, 1 / 4, years);
+ *
+ * years[index] = value.year;
+ * byYear.insert(index);
+ * byYear.bisectLeft(1900);
+ * ```
+ */
+export class NumericSkipList extends FixedSkipList {
+  /**
+   * @param {number} capacity maximum number of values that can be stored in the list
+   * @param {number} ratio probability of promoting a value to next layer, see `FixedSkipList`
+   * @param {Float64Array | Int32Array | BigInt64Array} keys keys of values, in ascending order of which the list is sorted
+   * @param {{ random?: () => number, seed?: number, strict?: boolean }} [options] see `FixedSkipList`
+   */
+  constructor(capacity, ratio, keys, options) {
+    super(capacity, ratio, (a, b) => (keys[a] < keys[b] ? -1 : keys[a] > keys[b] ? 1 : 0), options);
+    /** @type {Float64Array | Int32Array | BigInt64Array} */
+    this.keys = keys;
+  }
+
+  /**
+   * @param {number | bigint | ((index: number) => -1 | 0 | 1)} key
+   */
+  bisectLeft(key) {
+    if (typeof key === "function") return super.bisectLeft(key);
+    return this.sizes[0] > this.bisect(key, false) ? this.after(this.points[0]) : -1;
+  }
+
+  /**
+   * @param {number | bigint | ((index: number) => -1 | 0 | 1)} key
+   */
+  bisectRight(key) {
+    if (typeof key === "function") return super.bisectRight(key);
+    return this.sizes[0] > this.bisect(key, true) ? this.after(this.points[0]) : -1;
+  }
+
+  /**
+   * Find first or last index with exactly matching key.
+   *
+   * @param {number | bigint | ((index: number) => -1 | 0 | 1)} key
+   * @param {boolean} trailing
+   */
+  search(key, trailing = false) {
+    if (typeof key === "function") return super.search(key, trailing);
+    let found = -1;
+    if (trailing) {
+      this.bisect(key, true);
+      found = this.points[0];
+    } else {
+      found = this.bisectLeft(key);
+    }
+    return found > -1 && this.keys[found] === key ? found : -1;
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   * @returns {any}
+   */
+  probe(index) {
+    return this.keys[index];
+  }
+
+  /**
+   * @protected
+   * @param {number | bigint | ((index: number) => -1 | 0 | 1)} key
+   * @param {boolean} right
+   */
+  bisect(key, right) {
+    if (typeof key === "function") return super.bisect(key, right);
+    let keys = this.keys;
+    let points = this.points;
+    let ranks = this.ranks;
+    let size = this.sizes[0];
+    if (size === 0 || (right ? key < keys[this.heads[0]] : key <= keys[this.heads[0]])) {
+      points.fill(-1);
+      ranks.fill(-1);
+      return 0;
+    }
+    if (right ? key >= keys[this.tails[0]] : key > keys[this.tails[0]]) {
+      for (let level = this.currentLevel; level >= 0; level--) {
+        points[level] = this.tails[level];
+        ranks[level] = size - this.spans[level][this.tails[level]];
+      }
+      return size;
+    }
+
+    let point = -1;
+    let rank = -1;
+    for (let level = this.currentLevel; level >= 0; level--) {
+      let next = this.nexts[level];
+      let span = this.spans[level];
+      let tail = this.tails[level];
+      for (
+        let curr = point > -1 ? next[point] : this.heads[level],
+          currRank = point > -1 ? rank + span[point] : this.offsets[level];
+        point !== tail && (right ? key >= keys[curr] : key > keys[curr]);
+        currRank += span[curr], curr = next[curr]
+      ) {
+        point = curr;
+        rank = currRank;
+      }
+      points[level] = point;
+      ranks[level] = rank;
+    }
+    return rank + 1;
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   */
+  locate(index) {
+    if (this.sizes[0] === 0) return -1;
+    let key = this.keys[index];
+    let rank = this.bisect(key, false) - 1;
+    let points = this.points;
+    let ranks = this.ranks;
+    let keys = this.keys;
+    let next = this.nexts[0];
+    let tail = this.tails[0];
+    let point = points[0];
+    // equal keys are kept in insertion order, so the index can be anywhere in the run of them
+    for (
+      let curr = point > -1 ? next[point] : this.heads[0];
+      point !== tail && keys[curr] === key;
+      curr = next[curr]
+    ) {
+      if (curr === index) return rank + 1;
+      point = curr;
+      rank++;
+      for (let level = this.heights[curr]; level >= 0; level--) {
+        points[level] = point;
+        ranks[level] = rank;
+      }
+    }
+    return -1;
+  }
+}
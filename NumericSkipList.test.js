@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import { deepEqual, equal } from "node:assert/strict";
+import { NumericSkipList } from "./NumericSkipList.js";
+
+const LARGE_LIST_COUNT = 1000000;
+
+test("a lot of records", () => {
+  let count = LARGE_LIST_COUNT;
+  let keys = new Int32Array(count);
+  let list = new NumericSkipList(count, 1 / 8, keys);
+
+  for (let index = 0; index < count; index++) {
+    keys[index] = (Math.random() * 10) | 0;
+    list.insert(index);
+  }
+  equal(list.size, count);
+});
+
+test("numeric keys", () => {
+  let keys = new Float64Array([1913, 1899, 1926, 1939, 1913, 1900.5]);
+  let list = new NumericSkipList(10, 1 / 2, keys);
+  for (let index = 0; index < keys.length; index++) list.insert(index);
+
+  deepEqual(Array.from(list), [1, 5, 0, 4, 2, 3]);
+  equal(list.bisectLeft(1913), 0);
+  equal(list.bisectRight(1913), 2);
+  equal(list.bisectLeft(1800), 1);
+  equal(list.bisectLeft(2000), -1);
+  equal(list.bisectRight(1939), -1);
+  equal(list.search(1913), 0);
+  equal(list.search(1913, true), 4);
+  equal(list.search(1914), -1);
+  equal(list.search(1914, true), -1);
+  equal(
+    list.search((index) => (1926 < keys[index] ? -1 : 1926 > keys[index] ? 1 : 0)),
+    2,
+  );
+  equal(list.countRange(1900, 1926), 4);
+  deepEqual(Array.from(list.range(1900, 1926, { inclusive: [true, false] })), [5, 0, 4]);
+
+  list.remove(0);
+  list.remove(3);
+  deepEqual(Array.from(list), [1, 5, 4, 2]);
+  equal(list.search(1913), 4);
+  equal(list.insertUnique(0), 4);
+  list.verify();
+});
+
+test("bigint keys", () => {
+  let keys = new BigInt64Array([5n, -3n, 2n ** 60n, 0n]);
+  let list = new NumericSkipList(4, 1 / 2, keys);
+  for (let index = 0; index < keys.length; index++) list.insert(index);
+  deepEqual(Array.from(list), [1, 3, 0, 2]);
+  equal(list.bisectLeft(1n), 0);
+  equal(list.search(2n ** 60n), 2);
+  list.remove(2);
+  equal(list.search(2n ** 60n), -1);
+});
+
+test("matches comparator mode", () => {
+  let keys = new Int32Array(500);
+  let list = new NumericSkipList(500, 1 / 4, keys);
+  for (let index = 0; index < 500; index++) {
+    keys[index] = (Math.random() * 50) | 0;
+    list.insert(index);
+  }
+  for (let index = 0; index < 500; index += 3) list.remove(index);
+  list.verify();
+  let expected = Array.from(keys.keys())
+    .filter((index) => index % 3 !== 0)
+    .sort((a, b) => keys[a] - keys[b]);
+  deepEqual(Array.from(list), expected);
+});
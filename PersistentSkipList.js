@@ -0,0 +1,478 @@
+import {
+  closeSync,
+  existsSync,
+  fsyncSync,
+  ftruncateSync,
+  openSync,
+  readFileSync,
+  renameSync,
+  writeSync,
+} from "node:fs";
+import { FixedSkipList } from "./FixedSkipList.js";
+
+const LOG_MAGIC = 0x534b4c47; // "SKLG"
+const LOG_VERSION = 1;
+const LOG_HEADER_LENGTH = 16;
+const CHECKPOINT_MAGIC = 0x534b4350; // "SKCP"
+const CHECKPOINT_HEADER_LENGTH = 24;
+const RECORD_LENGTH = 16;
+
+const INSERT = 1;
+const REMOVE = 2;
+const REMOVE_RUN = 3;
+const CLEAR = 4;
+
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte;
+  for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  return crc;
+});
+
+/**
+ * Skip list that survives restarts. Each change is appended to a log file before the call returns,
+ * and the state of the list is written to a checkpoint file every once in a while. Opening the list
+ * restores the last checkpoint and replays changes logged after it.
+ *
+ * The log records where indices were put rather than how they compare, so replay doesn't call the
+ * comparator and the list can be opened before values are loaded. Values themselves are not
+ * stored, keeping them durable is up to the application.
+ *
+ * A record that was only partially written when the process stopped fails its checksum, it is
+ * dropped along with anything after it. Files are written in platform byte order, see
+ * `serialize()`.
+ *
+ * ```js
+ * let byDate = PersistentSkipList.open("data/by-date", capacity, 1 / 4, compareDate);
+ * byDate.insert(index);
+ * byDate.compact();
+ * byDate.close();
+ * ```
+ */
+export class PersistentSkipList extends FixedSkipList {
+  /**
+   * Restore the list from files at the path, or start an empty list if there are none. The log is
+   * kept in `<path>.log`, checkpoints in `<path>.checkpoint`.
+   *
+   * @param {string} path
+   * @param {number} capacity maximum number of values that can be stored in the list
+   * @param {number} ratio probability of promoting a value to next layer, see `FixedSkipList`
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare comparator function that receives indices of values
+   * @param {{ sync?: boolean, checkpointInterval?: number, random?: () => number, seed?: number, strict?: boolean }} [options] `sync` flushes each record to disk before returning, defaults to true. `checkpointInterval` is the number of records after which a checkpoint is made, defaults to 10000. See `FixedSkipList` for the rest.
+   */
+  static open(path, capacity, ratio, compare, options = {}) {
+    let { sync = true, checkpointInterval = 10_000, ...rest } = options;
+    let checkpoint = readCheckpoint(`${path}.checkpoint`);
+    let list = checkpoint
+      ? /** @type {PersistentSkipList} */ (this.deserialize(checkpoint.snapshot, compare, rest))
+      : new this(capacity, ratio, compare, rest);
+    if (list.capacity !== capacity || list.ratio !== ratio) {
+      throw new TypeError(
+        `Checkpoint has capacity ${list.capacity} and ratio ${list.ratio}, expected ${capacity} and ${ratio}`,
+      );
+    }
+    list.path = path;
+    list.sync = sync;
+    list.checkpointInterval = checkpointInterval;
+    list.recover(checkpoint);
+    return list;
+  }
+
+  /**
+   * @param {number} capacity
+   * @param {number} ratio
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ random?: () => number, seed?: number, strict?: boolean }} [options]
+   */
+  constructor(capacity, ratio, compare, options) {
+    super(capacity, ratio, compare, options);
+    /**
+     * @protected
+     * @type {string}
+     */
+    this.path = "";
+    /**
+     * File descriptor of the log, or -1 while changes are not logged.
+     *
+     * @protected
+     */
+    this.descriptor = -1;
+    /**
+     * Generation of the log, which increases every time the log is started over.
+     *
+     * @protected
+     */
+    this.generation = 0;
+    /** @protected */
+    this.logLength = 0;
+    /**
+     * Number of records written since the last checkpoint.
+     *
+     * @protected
+     */
+    this.pending = 0;
+    /**
+     * Whether a change is in progress, so a checkpoint waits until all its records are written.
+     *
+     * @protected
+     */
+    this.changing = false;
+    /** @protected */
+    this.sync = true;
+    /** @protected */
+    this.checkpointInterval = 10_000;
+    /**
+     * @protected
+     * @type {Uint32Array}
+     */
+    this.record = new Uint32Array(RECORD_LENGTH / Uint32Array.BYTES_PER_ELEMENT);
+  }
+
+  /**
+   * @param {number} index
+   */
+  upsert(index) {
+    return this.change(() => {
+      let existing = super.upsert(index);
+      if (existing > -1) {
+        // the index took place and layers of the existing one, which replays as removal and insertion
+        let rank = this.ranks[0] + 1;
+        this.append(REMOVE, existing, rank, 0);
+        this.append(INSERT, index, rank, this.heights[index]);
+      }
+      return existing;
+    });
+  }
+
+  /**
+   * @param {number} index
+   * @param {() => void} mutate
+   */
+  update(index, mutate) {
+    return this.change(() => super.update(index, mutate));
+  }
+
+  /**
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean] }} [options]
+   */
+  removeRange(lower, upper, options) {
+    return this.change(() => {
+      let removed = super.removeRange(lower, upper, options);
+      if (removed.length > 0) this.append(REMOVE_RUN, removed.length, this.ranks[0] + 1, 0);
+      return removed;
+    });
+  }
+
+  clear() {
+    this.change(() => {
+      super.clear();
+      this.append(CLEAR, 0, 0, 0);
+    });
+  }
+
+  /**
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   * @returns {[this, this]}
+   */
+  splitAt(probe, key) {
+    throw new TypeError("PersistentSkipList can not be split, its log covers a single list");
+  }
+
+  /**
+   * @param {FixedSkipList} other
+   * @returns {this}
+   */
+  concat(other) {
+    throw new TypeError("PersistentSkipList can not be concatenated, its log covers a single list");
+  }
+
+  /**
+   * Write the state of the list to the checkpoint file, so the next open only replays records
+   * written after it. The file is replaced atomically.
+   */
+  checkpoint() {
+    if (this.descriptor === -1) throw new TypeError("List is closed or was not opened");
+    let snapshot = new Uint8Array(this.serialize());
+    let header = new ArrayBuffer(CHECKPOINT_HEADER_LENGTH);
+    let fields = new Uint32Array(header, 0, 4);
+    fields[0] = CHECKPOINT_MAGIC;
+    fields[1] = this.generation;
+    fields[2] = crc32(snapshot);
+    new Float64Array(header, 16, 1)[0] = this.logLength;
+    writeAtomically(`${this.path}.checkpoint`, [new Uint8Array(header), snapshot]);
+    this.pending = 0;
+  }
+
+  /**
+   * Make a checkpoint and start the log over, dropping records the checkpoint already covers.
+   */
+  compact() {
+    this.checkpoint();
+    this.rotate(this.generation + 1);
+  }
+
+  /**
+   * Close the log. The list can still be read, but further changes are not logged.
+   */
+  close() {
+    if (this.descriptor === -1) return;
+    closeSync(this.descriptor);
+    this.descriptor = -1;
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   * @param {number} insertLevel
+   */
+  link(index, insertLevel) {
+    this.change(() => {
+      let rank = this.ranks[0] + 1;
+      super.link(index, insertLevel);
+      this.append(INSERT, index, rank, insertLevel);
+    });
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   */
+  unlink(index) {
+    this.change(() => {
+      let rank = this.ranks[0] + 1;
+      super.unlink(index);
+      this.append(REMOVE, index, rank, 0);
+    });
+  }
+
+  /**
+   * Run a change of the list that may write several records, and make a checkpoint after it once
+   * enough records piled up. A checkpoint in between would cover the whole change while pointing
+   * at a log offset before its last records, and recovery would replay them again.
+   *
+   * @protected
+   * @template T
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  change(fn) {
+    if (this.changing) return fn();
+    this.changing = true;
+    let result;
+    try {
+      result = fn();
+    } finally {
+      this.changing = false;
+    }
+    if (this.descriptor > -1 && this.pending >= this.checkpointInterval) this.checkpoint();
+    return result;
+  }
+
+  /**
+   * Write a record to the end of the log.
+   *
+   * @protected
+   * @param {number} type
+   * @param {number} index index or number of removed indices
+   * @param {number} rank
+   * @param {number} height
+   */
+  append(type, index, rank, height) {
+    if (this.descriptor === -1) return;
+    let record = this.record;
+    let bytes = new Uint8Array(record.buffer);
+    record[0] = type | (height << 8);
+    record[1] = index;
+    record[2] = rank;
+    record[3] = crc32(bytes.subarray(0, RECORD_LENGTH - 4));
+    writeSync(this.descriptor, bytes, 0, RECORD_LENGTH, this.logLength);
+    if (this.sync) fsyncSync(this.descriptor);
+    this.logLength += RECORD_LENGTH;
+    this.pending++;
+  }
+
+  /**
+   * Replay the log on top of the restored checkpoint, truncating the log at the first record that
+   * fails its checksum, and keep the log open for appending.
+   *
+   * @protected
+   * @param {{ generation: number, offset: number } | null} checkpoint
+   */
+  recover(checkpoint) {
+    let logPath = `${this.path}.log`;
+    let log = existsSync(logPath) ? readFileSync(logPath) : Buffer.alloc(0);
+    let header = new Uint32Array(4);
+    if (log.length >= LOG_HEADER_LENGTH) {
+      new Uint8Array(header.buffer).set(log.subarray(0, LOG_HEADER_LENGTH));
+      if (header[0] !== LOG_MAGIC || header[1] !== LOG_VERSION) {
+        throw new TypeError(`Log ${logPath} has unknown format or version`);
+      }
+    }
+
+    // a log of the next generation was started right after the checkpoint, see compact()
+    let generation = log.length >= LOG_HEADER_LENGTH ? header[2] : (checkpoint?.generation ?? 0);
+    let start = LOG_HEADER_LENGTH;
+    if (checkpoint != null && generation === checkpoint.generation) {
+      start = checkpoint.offset;
+    } else if (checkpoint != null ? generation !== checkpoint.generation + 1 : generation > 0) {
+      throw new TypeError(`Log generation ${generation} does not match the checkpoint`);
+    }
+
+    if (log.length < LOG_HEADER_LENGTH || start > log.length) {
+      // the log is missing or lost records the checkpoint has, so none of it is needed
+      this.rotate(checkpoint != null ? checkpoint.generation + 1 : 0);
+      return;
+    }
+    this.generation = generation;
+
+    let end = start;
+    let record = this.record;
+    let bytes = new Uint8Array(record.buffer);
+    for (; end + RECORD_LENGTH <= log.length; end += RECORD_LENGTH) {
+      bytes.set(log.subarray(end, end + RECORD_LENGTH));
+      if (crc32(bytes.subarray(0, RECORD_LENGTH - 4)) !== record[3]) break;
+      this.replay(record[0] & 0xff, record[1], record[2], record[0] >>> 8);
+      this.pending++;
+    }
+
+    this.descriptor = openSync(logPath, "r+");
+    this.logLength = end;
+    if (end < log.length) {
+      ftruncateSync(this.descriptor, end);
+      fsyncSync(this.descriptor);
+    }
+  }
+
+  /**
+   * Apply a logged change without comparing values, using ranks to find where it happened.
+   *
+   * @protected
+   * @param {number} type
+   * @param {number} index
+   * @param {number} rank
+   * @param {number} height
+   */
+  replay(type, index, rank, height) {
+    let size = this.sizes[0];
+    if (type === CLEAR) {
+      super.clear();
+    } else if (
+      type === INSERT &&
+      index < this.capacity &&
+      rank <= size &&
+      height < this.heads.length
+    ) {
+      this.reach(rank);
+      super.link(index, height);
+    } else if (type === REMOVE && rank < size && this.reach(rank) === index) {
+      super.unlink(index);
+    } else if (type === REMOVE_RUN && rank + index <= size) {
+      for (let count = index; count > 0; count--) super.unlink(this.reach(rank));
+    } else {
+      throw new TypeError(`Log of ${this.path} has a record that does not fit the list`);
+    }
+  }
+
+  /**
+   * Fill `points` and `ranks` with the values that precede the rank on each layer. Returns the
+   * index at the rank.
+   *
+   * @protected
+   * @param {number} rank
+   */
+  reach(rank) {
+    let points = this.points.fill(-1);
+    let ranks = this.ranks.fill(-1);
+    if (this.sizes[0] === 0) return -1;
+    let point = -1;
+    let pointRank = -1;
+    for (let level = this.currentLevel; level >= 0; level--) {
+      let next = this.nexts[level];
+      let span = this.spans[level];
+      let tail = this.tails[level];
+      for (
+        let curr = point > -1 ? next[point] : this.heads[level],
+          currRank = point > -1 ? pointRank + span[point] : this.offsets[level];
+        point !== tail && currRank < rank;
+        currRank += span[curr], curr = next[curr]
+      ) {
+        point = curr;
+        pointRank = currRank;
+      }
+      points[level] = point;
+      ranks[level] = pointRank;
+    }
+    return rank < this.sizes[0] ? this.after(point) : -1;
+  }
+
+  /**
+   * Start an empty log of the generation in place of the current one.
+   *
+   * @protected
+   * @param {number} generation
+   */
+  rotate(generation) {
+    let logPath = `${this.path}.log`;
+    let header = new Uint32Array([LOG_MAGIC, LOG_VERSION, generation, 0]);
+    this.close();
+    writeAtomically(logPath, [new Uint8Array(header.buffer)]);
+    this.descriptor = openSync(logPath, "r+");
+    this.generation = generation;
+    this.logLength = LOG_HEADER_LENGTH;
+  }
+}
+
+/**
+ * @param {string} path
+ * @returns {{ generation: number, offset: number, snapshot: ArrayBuffer } | null}
+ */
+function readCheckpoint(path) {
+  if (!existsSync(path)) return null;
+  let file = readFileSync(path);
+  let header = new ArrayBuffer(CHECKPOINT_HEADER_LENGTH);
+  new Uint8Array(header).set(file.subarray(0, CHECKPOINT_HEADER_LENGTH));
+  let fields = new Uint32Array(header, 0, 4);
+  let snapshot = file.subarray(CHECKPOINT_HEADER_LENGTH);
+  if (
+    file.length < CHECKPOINT_HEADER_LENGTH ||
+    fields[0] !== CHECKPOINT_MAGIC ||
+    fields[2] !== crc32(snapshot)
+  ) {
+    throw new TypeError(`Checkpoint ${path} is damaged`);
+  }
+  let offset = new Float64Array(header, 16, 1)[0];
+  // snapshot is copied to a buffer of its own, deserialize() reads it with typed arrays
+  return { generation: fields[1], offset, snapshot: new Uint8Array(snapshot).buffer };
+}
+
+/**
+ * CRC-32 of the bytes, same as `crc32()` of `node:zlib`, which is missing in older versions of Node.
+ *
+ * @param {Uint8Array} bytes
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write chunks to a temporary file and rename it over the path, so readers find either the old
+ * file or the complete new one.
+ *
+ * @param {string} path
+ * @param {Array<Uint8Array>} chunks
+ */
+function writeAtomically(path, chunks) {
+  let temporary = `${path}.tmp`;
+  let descriptor = openSync(temporary, "w");
+  try {
+    for (let chunk of chunks) writeSync(descriptor, chunk);
+    fsyncSync(descriptor);
+  } finally {
+    closeSync(descriptor);
+  }
+  renameSync(temporary, path);
+}
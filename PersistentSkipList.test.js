@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import { deepEqual, equal, throws } from "node:assert/strict";
+import { appendFileSync, mkdtempSync, rmSync, statSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { PersistentSkipList } from "./PersistentSkipList.js";
+
+test("restore from checkpoint and log", (t) => {
+  let directory = mkdtempSync(join(tmpdir(), "skipstruct-"));
+  t.after(() => rmSync(directory, { recursive: true }));
+  let path = join(directory, "scores");
+  let data = [];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let options = { sync: false, checkpointInterval: 100 };
+  let list = PersistentSkipList.open(path, 1000, 1 / 4, order, options);
+
+  for (let i = 0; i < 2000; i++) {
+    let action = Math.random();
+    if (action < 0.5 || list.size === 0) {
+      if (data.length === 1000) continue;
+      list.insert(data.push((Math.random() * 100) | 0) - 1);
+    } else if (action < 0.7) {
+      list.remove(list.at((Math.random() * list.size) | 0));
+    } else if (action < 0.85) {
+      let index = list.at((Math.random() * list.size) | 0);
+      list.update(index, () => {
+        data[index] = (Math.random() * 100) | 0;
+      });
+    } else if (action < 0.95) {
+      if (data.length === 1000) continue;
+      list.upsert(data.push((Math.random() * 100) | 0) - 1);
+    } else if (action < 0.99) {
+      let from = (Math.random() * 100) | 0;
+      list.removeRange(
+        (index) => ascending(from, data[index]),
+        (index) => ascending(from + 5, data[index]),
+      );
+    } else {
+      list.compact();
+    }
+  }
+  list.close();
+
+  let restored = PersistentSkipList.open(path, 1000, 1 / 4, order, options);
+  restored.verify();
+  deepEqual(Array.from(restored), Array.from(list));
+
+  restored.clear();
+  restored.insert(0);
+  restored.close();
+  let cleared = PersistentSkipList.open(path, 1000, 1 / 4, order, options);
+  deepEqual(Array.from(cleared), [0]);
+  cleared.close();
+
+  throws(() => PersistentSkipList.open(path, 2000, 1 / 4, order), TypeError);
+});
+
+test("drop torn records", (t) => {
+  let directory = mkdtempSync(join(tmpdir(), "skipstruct-"));
+  t.after(() => rmSync(directory, { recursive: true }));
+  let path = join(directory, "numbers");
+  let list = PersistentSkipList.open(path, 100, 1 / 2, ascending);
+  for (let i = 0; i < 10; i++) list.insert(i);
+  list.close();
+  let length = statSync(`${path}.log`).size;
+
+  // a record that was cut short by a crash, as if the process stopped halfway through a write
+  appendFileSync(`${path}.log`, new Uint8Array(7).fill(1));
+  let restored = PersistentSkipList.open(path, 100, 1 / 2, ascending);
+  deepEqual(Array.from(restored), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  equal(statSync(`${path}.log`).size, length);
+
+  restored.remove(5);
+  restored.close();
+  appendFileSync(`${path}.log`, new Uint8Array(16).fill(1));
+  let again = PersistentSkipList.open(path, 100, 1 / 2, ascending);
+  deepEqual(Array.from(again), [0, 1, 2, 3, 4, 6, 7, 8, 9]);
+  again.verify();
+
+  again.compact();
+  equal(statSync(`${path}.log`).size < length, true);
+  again.insert(5);
+  again.close();
+  let reopened = PersistentSkipList.open(path, 100, 1 / 2, ascending);
+  deepEqual(Array.from(reopened), Array.from(again));
+  reopened.close();
+});
+
+test("checkpoint after the last record of a change", (t) => {
+  let directory = mkdtempSync(join(tmpdir(), "skipstruct-"));
+  t.after(() => rmSync(directory, { recursive: true }));
+  let path = join(directory, "ranks");
+  let data = [1, 0, 2, 1];
+  let order = (ia, ib) => ascending(data[ia], data[ib]);
+  let options = { sync: false, checkpointInterval: 2 };
+  let list = PersistentSkipList.open(path, 10, 1 / 2, order, options);
+  for (let i = 0; i < 3; i++) list.insert(i);
+  // replaces index 0 of equal value, which is logged as removal and insertion
+  equal(list.upsert(3), 0);
+  list.close();
+
+  let restored = PersistentSkipList.open(path, 10, 1 / 2, order, options);
+  restored.verify();
+  deepEqual(Array.from(restored), [1, 3, 2]);
+  deepEqual(Array.from(restored), Array.from(list));
+  restored.close();
+});
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
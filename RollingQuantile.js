@@ -0,0 +1,97 @@
+import { FixedSkipList } from "./FixedSkipList.js";
+
+/**
+ * Order statistics over a sliding window of the latest numeric samples. Samples are kept in a ring
+ * of slots, once the window is full every new sample evicts the oldest one. Equal samples are
+ * ordered by their age, so the evicted sample is found in logarithmic time regardless of duplicates.
+ *
+ * ```js
+ * let latency = new RollingQuantile(1000);
+ * latency.push(responseTime);
+ * latency.quantile(0.95);
+ * ```
+ */
+export class RollingQuantile {
+  /**
+   * @param {number} windowSize number of latest samples to keep
+   * @param {{ ratio?: number, random?: () => number, seed?: number }} [options] ratio of the underlying skip list, see `FixedSkipList` for the rest
+   */
+  constructor(windowSize, { ratio = 1 / 4, ...options } = {}) {
+    /** @type {number} */
+    this.windowSize = windowSize;
+
+    /** @protected */
+    this.samples = new Float64Array(windowSize);
+    /**
+     * Sequence number of the sample in each slot, breaks ties between equal samples.
+     *
+     * @protected
+     */
+    this.sequence = new Float64Array(windowSize);
+    /** @protected */
+    this.pushed = 0;
+
+    let samples = this.samples;
+    let sequence = this.sequence;
+    /** @protected */
+    this.order = new FixedSkipList(
+      windowSize,
+      ratio,
+      (a, b) => {
+        let x = samples[a];
+        let y = samples[b];
+        if (x !== y) return x < y ? -1 : 1;
+        return sequence[a] === sequence[b] ? 0 : sequence[a] < sequence[b] ? -1 : 1;
+      },
+      options,
+    );
+  }
+
+  get size() {
+    return this.order.size;
+  }
+
+  /**
+   * Add a sample to the window. Returns the evicted sample if the window was full.
+   *
+   * @param {number} value
+   */
+  push(value) {
+    let slot = this.pushed % this.windowSize;
+    let evicted = this.pushed >= this.windowSize ? this.samples[slot] : undefined;
+    if (evicted !== undefined) this.order.remove(slot);
+    this.samples[slot] = value;
+    this.sequence[slot] = this.pushed++;
+    this.order.insert(slot);
+    return evicted;
+  }
+
+  /**
+   * Value at quantile `q` in range [0, 1], linearly interpolated between closest ranks. Returns NaN
+   * when the window is empty.
+   *
+   * @param {number} q
+   */
+  quantile(q) {
+    let size = this.order.size;
+    if (size === 0) return NaN;
+    let position = Math.min(Math.max(q, 0), 1) * (size - 1);
+    let lower = Math.floor(position);
+    let lowerValue = this.samples[this.order.at(lower)];
+    if (lower === position) return lowerValue;
+    let upperValue = this.samples[this.order.at(lower + 1)];
+    return lowerValue + (upperValue - lowerValue) * (position - lower);
+  }
+
+  median() {
+    return this.quantile(0.5);
+  }
+
+  min() {
+    return this.order.size > 0 ? this.samples[this.order.head] : NaN;
+  }
+
+  max() {
+    return this.order.size > 0 ? this.samples[this.order.tail] : NaN;
+  }
+}
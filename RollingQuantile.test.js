@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import { equal } from "node:assert/strict";
+import { RollingQuantile } from "./RollingQuantile.js";
+
+test("window of samples", () => {
+  let window = new RollingQuantile(5);
+  equal(window.median(), NaN);
+  equal(window.push(3), undefined);
+  equal(window.median(), 3);
+  window.push(1);
+  equal(window.median(), 2);
+  window.push(4);
+  window.push(1);
+  window.push(5);
+  equal(window.size, 5);
+  equal(window.median(), 3);
+  equal(window.min(), 1);
+  equal(window.max(), 5);
+  equal(window.quantile(0), 1);
+  equal(window.quantile(1), 5);
+  equal(window.quantile(0.25), 1);
+  equal(window.quantile(0.875), 4.5);
+
+  equal(window.push(9), 3);
+  equal(window.push(2), 1);
+  equal(window.size, 5);
+  equal(window.median(), 4);
+  equal(window.min(), 1);
+});
+
+test("duplicates and reference", () => {
+  let size = 100;
+  let window = new RollingQuantile(size, { ratio: 1 / 2 });
+  let samples = [];
+  for (let i = 0; i < 2000; i++) {
+    let value = (Math.random() * 10) | 0;
+    samples.push(value);
+    window.push(value);
+    if (i % 50 !== 0) continue;
+    let sorted = samples.slice(-size).sort((a, b) => a - b);
+    for (let q of [0, 0.5, 0.95, 1]) {
+      let position = q * (sorted.length - 1);
+      let lower = Math.floor(position);
+      let upper = Math.ceil(position);
+      let expected = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+      equal(window.quantile(q), expected);
+    }
+  }
+  equal(window.size, size);
+});
@@ -0,0 +1,534 @@
+import { Cursor } from "./Cursor.js";
+import { FixedSkipList } from "./FixedSkipList.js";
+import { SkipListError } from "./SkipListError.js";
+
+const SEQUENCE = 0;
+const LEVEL = 1;
+const CAPACITY = 2;
+const MODIFICATIONS = 3;
+const SHARED_HEADER_LENGTH = 24;
+const CHECK_INTERVAL = 256;
+
+/**
+ * Skip list that keeps its layers in a `SharedArrayBuffer`, so other threads can read it without
+ * copying. The list is written by a single thread, which is the one that created it. Other threads
+ * use `attach()` to get a read-only list over the same buffer.
+ *
+ * Writes and reads are coordinated with a sequence lock: the writer bumps a counter in the buffer
+ * before and after each change, and readers retry whenever the counter shows that a change
+ * happened while they were reading. Readers never block the writer, and never see a half-linked
+ * value. Values behind indices must be visible to readers as well, e.g. kept in shared typed
+ * arrays.
+ *
+ * ```js
+ * let byScore = new SharedSkipList(capacity, 1 / 4, compareScore);
+ * let worker = new Worker("./reader.js", { workerData: { buffer: byScore.buffer, scores } });
+ *
+ * // reader.js
+ * let byScore = SharedSkipList.attach(workerData.buffer, compareScore);
+ * byScore.bisectLeft((index) => ascending(100, scores[index]));
+ * ```
+ */
+export class SharedSkipList extends FixedSkipList {
+  /**
+   * @param {number} capacity maximum number of values that can be stored in the list
+   * @param {number} ratio probability of promoting a value to next layer, see `FixedSkipList`
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare comparator function that receives indices of values
+   * @param {{ buffer?: SharedArrayBuffer, random?: () => number, seed?: number, strict?: boolean }} [options] `buffer` of a list to attach to, see `attach()`; see `FixedSkipList` for the rest
+   */
+  constructor(capacity, ratio, compare, options = {}) {
+    super(capacity, ratio, compare, options);
+    let buffer = this.heads.buffer;
+    let header = buffer.byteLength - SHARED_HEADER_LENGTH;
+    /**
+     * Whether the list is attached to a buffer of another list and can only be read.
+     *
+     * @type {boolean}
+     */
+    this.attached = options.buffer != null;
+    /**
+     * Sequence counter, which is odd while a change is in progress, current level, capacity and
+     * number of changes made to the list.
+     *
+     * @protected
+     * @type {Int32Array}
+     */
+    this.control = new Int32Array(buffer, header, 4);
+    /**
+     * Whether a read is in progress. The counter wraps around to negative values, so its sign
+     * can't tell that.
+     *
+     * @protected
+     */
+    this.reading = false;
+    /**
+     * Sequence counter value at the start of the read in progress.
+     *
+     * @protected
+     */
+    this.sequence = 0;
+    /** @protected */
+    this.steps = 0;
+    /** @protected */
+    this.writing = false;
+
+    // number of changes is kept in the buffer, so cursors of attached lists notice the writer
+    let control = this.control;
+    Object.defineProperty(this, "modifications", {
+      get: () => Atomics.load(control, MODIFICATIONS),
+      set: (value) => Atomics.store(control, MODIFICATIONS, value),
+    });
+
+    if (this.attached) {
+      this.compare = this.guard(compare);
+    } else {
+      this.control[CAPACITY] = capacity;
+      new Float64Array(buffer, header + 16, 1)[0] = ratio;
+    }
+  }
+
+  /**
+   * Create a read-only list over the buffer of a list created in another thread. The comparator
+   * must define the same order as the one used by the writer.
+   *
+   * ```js
+   * import { workerData } from "node:worker_threads";
+   *
+   * let byScore = SharedSkipList.attach(workerData.buffer, compareScore);
+   * ```
+   *
+   * @param {SharedArrayBuffer} buffer
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   */
+  static attach(buffer, compare) {
+    let header = buffer.byteLength - SHARED_HEADER_LENGTH;
+    if (!(buffer instanceof SharedArrayBuffer) || header < 0) {
+      throw new TypeError("Expected a SharedArrayBuffer of a shared skip list");
+    }
+    let capacity = new Int32Array(buffer, header, 4)[CAPACITY];
+    let ratio = new Float64Array(buffer, header + 16, 1)[0];
+    return new this(capacity, ratio, compare, { buffer });
+  }
+
+  /**
+   * @param {ArrayLike<number>} indices
+   * @param {number} capacity
+   * @param {number} ratio
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ sorted?: boolean, random?: () => number, seed?: number, strict?: boolean }} [options]
+   */
+  static from(indices, capacity, ratio, compare, options) {
+    let list = /** @type {SharedSkipList} */ (
+      super.from(indices, capacity, ratio, compare, options)
+    );
+    Atomics.store(list.control, LEVEL, list.currentLevel);
+    return list;
+  }
+
+  /**
+   * @param {ArrayBuffer} buffer
+   * @param {(a: number, b: number) => -1 | 0 | 1} compare
+   * @param {{ random?: () => number, seed?: number, strict?: boolean }} [options]
+   */
+  static deserialize(buffer, compare, options) {
+    let list = /** @type {SharedSkipList} */ (super.deserialize(buffer, compare, options));
+    Atomics.store(list.control, LEVEL, list.currentLevel);
+    return list;
+  }
+
+  /**
+   * Buffer to pass to other threads for `attach()`.
+   */
+  get buffer() {
+    return /** @type {SharedArrayBuffer} */ (this.heads.buffer);
+  }
+
+  /**
+   * Run a function that reads the list and return its result. In an attached list, the function is
+   * run again until no change happens while it runs, so it must not have side effects. Methods
+   * that search the list or collect indices use it already, combine them in a single read to get
+   * a consistent result.
+   *
+   * ```js
+   * let [first, count] = byScore.read(() => [byScore.head, byScore.size]);
+   * ```
+   *
+   * @template T
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  read(fn) {
+    if (!this.attached || this.reading) return fn();
+    let control = this.control;
+    this.reading = true;
+    try {
+      while (true) {
+        let sequence = Atomics.load(control, SEQUENCE);
+        if ((sequence & 1) === 1) continue;
+        this.sequence = sequence;
+        this.currentLevel = Atomics.load(control, LEVEL);
+        try {
+          let result = fn();
+          if (Atomics.load(control, SEQUENCE) === sequence) return result;
+        } catch (error) {
+          // a read that overlaps a change may follow stale pointers anywhere, so it only fails
+          // when the list did not change meanwhile
+          if (Atomics.load(control, SEQUENCE) === sequence) throw error;
+        }
+      }
+    } finally {
+      this.reading = false;
+    }
+  }
+
+  /**
+   * @param {(index: number) => -1 | 0 | 1} match
+   */
+  bisectLeft(match) {
+    return this.read(() => super.bisectLeft(this.guard(match)));
+  }
+
+  /**
+   * @param {(index: number) => -1 | 0 | 1} match
+   */
+  bisectRight(match) {
+    return this.read(() => super.bisectRight(this.guard(match)));
+  }
+
+  /**
+   * @param {(index: number) => -1 | 0 | 1} match
+   * @param {boolean} trailing
+   */
+  search(match, trailing = false) {
+    return this.read(() => super.search(this.guard(match), trailing));
+  }
+
+  /**
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  lowerBound(probe, key) {
+    return this.read(() => super.lowerBound(probe, key));
+  }
+
+  /**
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  upperBound(probe, key) {
+    return this.read(() => super.upperBound(probe, key));
+  }
+
+  /**
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  has(probe, key) {
+    return this.read(() => super.has(probe, key));
+  }
+
+  /**
+   * Key based matches of attached lists are guarded the same way as comparators.
+   *
+   * @protected
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   * @returns {(index: number) => -1 | 0 | 1}
+   */
+  matcher(probe, key) {
+    let match = super.matcher(probe, key);
+    return key != null ? this.guard(match) : match;
+  }
+
+  /**
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  floor(probe, key) {
+    return this.read(() => super.floor(probe, key));
+  }
+
+  /**
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   */
+  ceiling(probe, key) {
+    return this.read(() => super.ceiling(probe, key));
+  }
+
+  /**
+   * Attached lists collect the range in a single read and iterate over the copy.
+   *
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean], reverse?: boolean }} [options]
+   */
+  *range(lower, upper, options = {}) {
+    if (!this.attached) {
+      yield* super.range(lower, upper, options);
+      return;
+    }
+    let { inclusive = true, reverse = false } = options;
+    let [lowerInclusive, upperInclusive] = Array.isArray(inclusive)
+      ? inclusive
+      : [inclusive, inclusive];
+    let indices = this.read(() => {
+      let from = lower != null ? this.bisect(this.guard(lower), !lowerInclusive) : 0;
+      let to = upper != null ? this.bisect(this.guard(upper), upperInclusive) : this.size;
+      return super.slice(from, to);
+    });
+    yield* reverse ? indices.reverse() : indices;
+  }
+
+  /**
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean] }} [options]
+   */
+  countRange(lower, upper, options) {
+    return this.read(() => {
+      return super.countRange(lower && this.guard(lower), upper && this.guard(upper), options);
+    });
+  }
+
+  /**
+   * @param {number} rank
+   */
+  at(rank) {
+    return this.read(() => super.at(rank));
+  }
+
+  /**
+   * @param {number} index
+   */
+  rankOf(index) {
+    return this.read(() => super.rankOf(index));
+  }
+
+  /**
+   * @param {number} [fromRank]
+   * @param {number} [toRank]
+   */
+  slice(fromRank, toRank) {
+    return this.read(() => super.slice(fromRank, toRank));
+  }
+
+  serialize() {
+    return this.read(() => super.serialize());
+  }
+
+  /**
+   * Attached lists read the cursor position again whenever a change overlaps a move.
+   */
+  cursor() {
+    return this.read(() => new SharedCursor(this));
+  }
+
+  /**
+   * Attached lists collect indices in a single read and iterate over the copy.
+   *
+   * @param {number} [start]
+   * @param {number} [limit]
+   */
+  *forwards(start, limit) {
+    if (this.attached) yield* this.read(() => Array.from(super.forwards(start, limit)));
+    else yield* super.forwards(start, limit);
+  }
+
+  /**
+   * Attached lists collect indices in a single read and iterate over the copy.
+   *
+   * @param {number} [start]
+   * @param {number} [limit]
+   */
+  *backwards(start, limit) {
+    if (this.attached) yield* this.read(() => Array.from(super.backwards(start, limit)));
+    else yield* super.backwards(start, limit);
+  }
+
+  /**
+   * Attached lists are iterated over a consistent copy of their indices.
+   */
+  *[Symbol.iterator]() {
+    if (this.attached) yield* this.snapshot();
+    else yield* super[Symbol.iterator]();
+  }
+
+  /**
+   * @param {number} index
+   */
+  upsert(index) {
+    return this.write(() => super.upsert(index));
+  }
+
+  /**
+   * @param {number} index
+   * @param {() => void} mutate
+   */
+  update(index, mutate) {
+    return this.write(() => super.update(index, mutate));
+  }
+
+  /**
+   * @param {((index: number) => -1 | 0 | 1) | null} [lower]
+   * @param {((index: number) => -1 | 0 | 1) | null} [upper]
+   * @param {{ inclusive?: boolean | [boolean, boolean] }} [options]
+   */
+  removeRange(lower, upper, options) {
+    return this.write(() => super.removeRange(lower, upper, options));
+  }
+
+  clear() {
+    this.write(() => super.clear());
+  }
+
+  /**
+   * @param {any} probe
+   * @param {(index: number) => any} [key]
+   * @returns {[this, this]}
+   */
+  splitAt(probe, key) {
+    throw new TypeError("SharedSkipList can not be split, its layers are bound to its buffer");
+  }
+
+  /**
+   * @param {FixedSkipList} other
+   * @returns {this}
+   */
+  concat(other) {
+    throw new TypeError(
+      "SharedSkipList can not be concatenated, its layers are bound to its buffer",
+    );
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   * @param {number} insertLevel
+   */
+  link(index, insertLevel) {
+    this.write(() => super.link(index, insertLevel));
+  }
+
+  /**
+   * @protected
+   * @param {number} index
+   */
+  unlink(index) {
+    this.write(() => super.unlink(index));
+  }
+
+  /**
+   * Run a function that changes the list, with the sequence counter odd while it runs so readers
+   * know to retry.
+   *
+   * @protected
+   * @template T
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  write(fn) {
+    if (this.attached) throw new TypeError("List attached to a shared buffer is read-only");
+    if (this.writing) return fn();
+    let control = this.control;
+    this.writing = true;
+    Atomics.add(control, SEQUENCE, 1);
+    try {
+      return fn();
+    } finally {
+      Atomics.store(control, LEVEL, this.currentLevel);
+      Atomics.add(control, SEQUENCE, 1);
+      this.writing = false;
+    }
+  }
+
+  /**
+   * Wrap a comparator or match function of an attached list, so a read that got into a loop of
+   * stale pointers gives up once the list has changed.
+   *
+   * @protected
+   * @template {(a: number, b: number) => -1 | 0 | 1} F
+   * @param {F} fn
+   * @returns {F}
+   */
+  guard(fn) {
+    if (!this.attached) return fn;
+    return /** @type {F} */ (
+      (a, b) => {
+        if (++this.steps % CHECK_INTERVAL === 0 && this.reading) {
+          if (Atomics.load(this.control, SEQUENCE) !== this.sequence) {
+            throw new SkipListError("modification", "List was modified during read");
+          }
+        }
+        return fn(a, b);
+      }
+    );
+  }
+
+  /**
+   * @protected
+   * @param {number} byteLength
+   * @param {{ buffer?: SharedArrayBuffer }} options
+   */
+  allocate(byteLength, { buffer }) {
+    let length = Math.ceil(byteLength / 8) * 8 + SHARED_HEADER_LENGTH;
+    if (buffer == null) return new SharedArrayBuffer(length);
+    if (buffer.byteLength !== length) {
+      throw new TypeError(`Shared buffer length is ${buffer.byteLength} bytes, expected ${length}`);
+    }
+    return buffer;
+  }
+}
+
+/**
+ * Cursor that moves within reads of a shared list, and starts over from its previous position when
+ * a move overlaps a change.
+ */
+class SharedCursor extends Cursor {
+  /**
+   * @param {(index: number) => -1 | 0 | 1} match
+   */
+  seek(match) {
+    return this.move(() => super.seek(match));
+  }
+
+  get rank() {
+    return this.move(() => super.rank);
+  }
+
+  next() {
+    return this.move(() => super.next());
+  }
+
+  prev() {
+    return this.move(() => super.prev());
+  }
+
+  /**
+   * @param {number} count
+   */
+  skip(count) {
+    return this.move(() => super.skip(count));
+  }
+
+  remove() {
+    return this.move(() => super.remove());
+  }
+
+  /**
+   * @protected
+   * @template T
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  move(fn) {
+    let { index, position, modifications } = this;
+    let list = /** @type {SharedSkipList} */ (this.list);
+    return list.read(() => {
+      this.index = index;
+      this.position = position;
+      this.modifications = modifications;
+      return fn();
+    });
+  }
+}
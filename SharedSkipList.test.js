@@ -0,0 +1,182 @@
+import { test } from "node:test";
+import { deepEqual, equal, throws } from "node:assert/strict";
+import { Worker } from "node:worker_threads";
+import { SharedSkipList } from "./SharedSkipList.js";
+import { SkipListError } from "./SkipListError.js";
+
+test("attach to shared buffer", () => {
+  let scores = new Float64Array(new SharedArrayBuffer(100 * Float64Array.BYTES_PER_ELEMENT));
+  let order = (ia, ib) => ascending(scores[ia], scores[ib]);
+  let list = new SharedSkipList(100, 1 / 2, order);
+  let reader = SharedSkipList.attach(list.buffer, order);
+
+  for (let i = 0; i < 100; i++) {
+    scores[i] = (Math.random() * 20) | 0;
+    list.insert(i);
+  }
+  list.update(10, () => {
+    scores[10] = 100;
+  });
+
+  deepEqual(Array.from(reader), Array.from(list));
+  equal(reader.size, 100);
+  equal(reader.tail, 10);
+  equal(reader.rankOf(10), 99);
+  equal(scores[reader.bisectLeft((index) => ascending(5, scores[index]))] >= 5, true);
+  equal(
+    reader.search((index) => ascending(100, scores[index])),
+    10,
+  );
+  equal(reader.at(99), 10);
+
+  list.clear();
+  equal(reader.size, 0);
+  deepEqual(Array.from(reader), []);
+
+  throws(() => reader.insert(0), TypeError);
+  throws(() => reader.clear(), TypeError);
+  throws(() => SharedSkipList.attach(new SharedArrayBuffer(64), order), TypeError);
+  throws(() => SharedSkipList.attach(new ArrayBuffer(1024), order), TypeError);
+});
+
+test("read paths of attached list", () => {
+  let list = new SharedSkipList(100, 1 / 2, ascending);
+  let reader = SharedSkipList.attach(list.buffer, ascending);
+  for (let i = 0; i < 100; i += 10) list.insert(i);
+  let between = [(index) => ascending(20, index), (index) => ascending(50, index)];
+
+  equal(reader.floor(35), 30);
+  equal(reader.ceiling(35), 40);
+  let key = (index) => index / 10;
+  equal(reader.lowerBound(3.5, key), 40);
+  equal(reader.upperBound(4, key), 50);
+  equal(reader.floor(3.5, key), 30);
+  equal(reader.ceiling(3.5, key), 40);
+  equal(reader.has(4, key), true);
+  equal(reader.has(4.5, key), false);
+  deepEqual(Array.from(reader.equalRange(40)), [40]);
+  deepEqual(Array.from(reader.range(...between)), [20, 30, 40, 50]);
+  deepEqual(Array.from(reader.range(...between, { inclusive: false, reverse: true })), [40, 30]);
+  deepEqual(Array.from(reader.range(between[1], between[0])), []);
+  deepEqual(Array.from(reader.forwards(70)), [70, 80, 90]);
+  deepEqual(Array.from(reader.backwards(20)), [20, 10, 0]);
+  deepEqual(new Uint8Array(reader.serialize()), new Uint8Array(list.serialize()));
+
+  // iterators of attached lists go over a copy, changes made by the writer do not affect them
+  let iterator = reader.range(between[0], null);
+  equal(iterator.next().value, 20);
+  list.remove(30);
+  equal(reader.modifications, list.modifications);
+  deepEqual(Array.from(iterator), [30, 40, 50, 60, 70, 80, 90]);
+
+  let cursor = reader.cursor();
+  equal(cursor.skip(3), 40);
+  list.insert(5);
+  equal(cursor.rank, 4);
+  equal(cursor.prev(), 20);
+  list.remove(20);
+  throws(() => cursor.next(), SkipListError);
+  throws(() => reader.cursor().remove(), TypeError);
+});
+
+test("sequence counter wraps around", async () => {
+  let list = new SharedSkipList(10, 1 / 2, ascending);
+  let reader = SharedSkipList.attach(list.buffer, ascending);
+  let sequence = new Int32Array(list.buffer, list.buffer.byteLength - 24, 1);
+  sequence[0] = 2 ** 31 - 2;
+  list.insert(4);
+  list.insert(2);
+  equal(sequence[0] < 0, true);
+  deepEqual(Array.from(reader), [2, 4]);
+
+  // a write in progress with negative counter, the read waits until another thread ends it
+  let ending = sequence[0] + 2;
+  sequence[0] = ending - 1;
+  let worker = new Worker(
+    `
+    const { workerData } = require("node:worker_threads");
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+    Atomics.store(workerData.sequence, 0, workerData.ending);
+    `,
+    { eval: true, workerData: { sequence, ending } },
+  );
+  equal(
+    reader.read(() => Atomics.load(sequence, 0)),
+    ending,
+  );
+  await worker.terminate();
+});
+
+test("read from worker thread while writing", async () => {
+  let capacity = 2000;
+  let scores = new Float64Array(new SharedArrayBuffer(capacity * Float64Array.BYTES_PER_ELEMENT));
+  let order = (ia, ib) => ascending(scores[ia], scores[ib]);
+  let list = new SharedSkipList(capacity, 1 / 4, order);
+  let done = new Int32Array(new SharedArrayBuffer(4));
+  let module = new URL("./SharedSkipList.js", import.meta.url).href;
+
+  let worker = new Worker(
+    `
+    const { parentPort, workerData } = require("node:worker_threads");
+    const { module, buffer, scores, done } = workerData;
+    import(module).then(({ SharedSkipList }) => {
+      let order = (a, b) => (scores[a] < scores[b] ? -1 : scores[a] > scores[b] ? 1 : 0);
+      let list = SharedSkipList.attach(buffer, order);
+      let reads = 0;
+      let failures = 0;
+      while (reads < 300) {
+        // scores keep changing, so they are only checked within the same read
+        let [size, count, unordered] = list.read(() => {
+          let indices = list.slice();
+          let unordered = 0;
+          for (let i = 1; i < indices.length; i++) {
+            if (order(indices[i - 1], indices[i]) > 0) unordered++;
+          }
+          return [list.size, indices.length, unordered];
+        });
+        if (size === 0) continue;
+        reads++;
+        if (count !== size) failures++;
+        failures += unordered;
+        // ranges are collected within a read, which must end even if stale pointers form a loop
+        let high = 0;
+        for (let index of list.range((index) => (scores[index] < 500 ? 1 : 0))) high++;
+        if (high > 2000) failures++;
+        failures += list.read(() => {
+          let found = list.bisectLeft((index) => (scores[index] < 500 ? 1 : 0));
+          return found > -1 && scores[found] < 500 ? 1 : 0;
+        });
+      }
+      Atomics.store(done, 0, 1);
+      parentPort.postMessage(failures);
+    });
+    `,
+    { eval: true, workerData: { module, buffer: list.buffer, scores, done } },
+  );
+  let failures = new Promise((resolve, reject) => {
+    worker.once("message", resolve);
+    worker.once("error", reject);
+  });
+
+  let random = Math.random;
+  for (let i = 0; Atomics.load(done, 0) === 0; i++) {
+    let index = (random() * capacity) | 0;
+    if (list.rankOf(index) > -1) {
+      list.update(index, () => {
+        scores[index] = random() * 1000;
+      });
+    } else {
+      scores[index] = random() * 1000;
+      list.insert(index);
+    }
+    if (i % 100 === 0) await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  equal(await failures, 0);
+  await worker.terminate();
+  list.verify();
+});
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
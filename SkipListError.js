@@ -0,0 +1,15 @@
+/**
+ * Error thrown by skip lists in strict mode and by `verify()`. The `invariant` property names the
+ * rule that is violated, so the error can be handled without parsing the message.
+ */
+export class SkipListError extends Error {
+  /**
+   * @param {"capacity" | "ratio" | "uniqueness" | "membership" | "order" | "size" | "head" | "tail" | "prevs" | "subset" | "span" | "modification"} invariant
+   * @param {string} message
+   */
+  constructor(invariant, message) {
+    super(message);
+    this.name = "SkipListError";
+    this.invariant = invariant;
+  }
+}
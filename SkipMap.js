@@ -0,0 +1,180 @@
+import { FixedSkipList } from "./FixedSkipList.js";
+
+/**
+ * Sorted key/value map on top of fixed capacity skip list. Keys and values are stored in slots,
+ * the skip list maintains the order of slots by their keys. Slots freed by deleting keys are
+ * reused for new keys.
+ *
+ * @template K, V
+ */
+export class SkipMap {
+  /**
+   * @param {number} capacity maximum number of entries that can be stored in the map
+   * @param {number} ratio probability of promoting a value to next layer, see `FixedSkipList`
+   * @param {(a: K, b: K) => -1 | 0 | 1} compare comparator function that receives keys
+   * @param {{ random?: () => number, seed?: number }} [options] see `FixedSkipList`
+   */
+  constructor(capacity, ratio, compare, options) {
+    /** @type {(a: K, b: K) => -1 | 0 | 1} */
+    this.compare = compare;
+
+    /**
+     * @protected
+     * @type {Array<K | undefined>}
+     */
+    this.slotKeys = new Array(capacity);
+    /**
+     * @protected
+     * @type {Array<V | undefined>}
+     */
+    this.slotValues = new Array(capacity);
+
+    /**
+     * Stack of slots released by `delete()`.
+     *
+     * @protected
+     * @type {Uint32Array}
+     */
+    this.free = new Uint32Array(capacity);
+    /** @protected */
+    this.freeCount = 0;
+    /**
+     * Number of slots that have been used at least once.
+     *
+     * @protected
+     */
+    this.allocated = 0;
+
+    /** @protected */
+    this.order = new FixedSkipList(
+      capacity,
+      ratio,
+      (a, b) => {
+        return compare(/** @type {K} */ (this.slotKeys[a]), /** @type {K} */ (this.slotKeys[b]));
+      },
+      options,
+    );
+  }
+
+  get size() {
+    return this.order.size;
+  }
+
+  get capacity() {
+    return this.order.capacity;
+  }
+
+  /**
+   * @param {K} key
+   * @param {V} value
+   */
+  set(key, value) {
+    let slot = this.slotOf(key);
+    if (slot === -1) {
+      slot = this.allocate();
+      this.slotKeys[slot] = key;
+      this.order.insert(slot);
+    }
+    this.slotValues[slot] = value;
+    return this;
+  }
+
+  /**
+   * @param {K} key
+   */
+  get(key) {
+    let slot = this.slotOf(key);
+    return slot > -1 ? this.slotValues[slot] : undefined;
+  }
+
+  /**
+   * @param {K} key
+   */
+  has(key) {
+    return this.slotOf(key) > -1;
+  }
+
+  /**
+   * @param {K} key
+   */
+  delete(key) {
+    let slot = this.slotOf(key);
+    if (slot === -1) return false;
+    this.order.remove(slot);
+    this.slotKeys[slot] = undefined;
+    this.slotValues[slot] = undefined;
+    this.free[this.freeCount++] = slot;
+    return true;
+  }
+
+  /**
+   * Entry with the smallest key, or undefined if the map is empty.
+   *
+   * @returns {[K, V] | undefined}
+   */
+  first() {
+    return this.size > 0 ? this.entry(this.order.head) : undefined;
+  }
+
+  /**
+   * Entry with the largest key, or undefined if the map is empty.
+   *
+   * @returns {[K, V] | undefined}
+   */
+  last() {
+    return this.size > 0 ? this.entry(this.order.tail) : undefined;
+  }
+
+  /**
+   * @returns {Generator<[K, V]>}
+   */
+  *entries() {
+    for (let slot of this.order) yield this.entry(slot);
+  }
+
+  /**
+   * @returns {Generator<K>}
+   */
+  *keys() {
+    for (let slot of this.order) yield /** @type {K} */ (this.slotKeys[slot]);
+  }
+
+  /**
+   * @returns {Generator<V>}
+   */
+  *values() {
+    for (let slot of this.order) yield /** @type {V} */ (this.slotValues[slot]);
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * @protected
+   * @param {K} key
+   */
+  slotOf(key) {
+    let compare = this.compare;
+    let slotKeys = this.slotKeys;
+    return this.order.search((slot) => compare(key, /** @type {K} */ (slotKeys[slot])));
+  }
+
+  /**
+   * @protected
+   * @param {number} slot
+   * @returns {[K, V]}
+   */
+  entry(slot) {
+    return [/** @type {K} */ (this.slotKeys[slot]), /** @type {V} */ (this.slotValues[slot])];
+  }
+
+  /**
+   * @protected
+   */
+  allocate() {
+    if (this.freeCount > 0) return this.free[--this.freeCount];
+    if (this.allocated < this.order.capacity) return this.allocated++;
+    throw new RangeError(`SkipMap capacity of ${this.order.capacity} entries exceeded`);
+  }
+}
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import { deepEqual, equal, throws } from "node:assert/strict";
+import { SkipMap } from "./SkipMap.js";
+
+test("set, get, has, delete", () => {
+  let map = new SkipMap(10, 1 / 2, ascending);
+  equal(map.size, 0);
+  equal(map.get("a"), undefined);
+  equal(map.has("a"), false);
+  equal(map.first(), undefined);
+  equal(map.last(), undefined);
+
+  map.set("c", 3).set("a", 1).set("b", 2);
+  equal(map.size, 3);
+  equal(map.get("a"), 1);
+  equal(map.get("c"), 3);
+  equal(map.has("b"), true);
+  equal(map.has("d"), false);
+
+  map.set("b", 20);
+  equal(map.size, 3);
+  equal(map.get("b"), 20);
+
+  equal(map.delete("a"), true);
+  equal(map.delete("a"), false);
+  equal(map.size, 2);
+  equal(map.has("a"), false);
+  deepEqual(map.first(), ["b", 20]);
+  deepEqual(map.last(), ["c", 3]);
+});
+
+test("ordered iteration", () => {
+  let map = new SkipMap(10, 1 / 2, ascending);
+  for (let key of [5, 3, 9, 1, 7]) map.set(key, String(key));
+
+  deepEqual(Array.from(map.keys()), [1, 3, 5, 7, 9]);
+  deepEqual(Array.from(map.values()), ["1", "3", "5", "7", "9"]);
+  deepEqual(Array.from(map.entries()), [
+    [1, "1"],
+    [3, "3"],
+    [5, "5"],
+    [7, "7"],
+    [9, "9"],
+  ]);
+  deepEqual(Array.from(map), Array.from(map.entries()));
+});
+
+test("slot reuse", () => {
+  let map = new SkipMap(3, 1 / 2, ascending);
+  map.set(1, "a").set(2, "b").set(3, "c");
+  throws(() => map.set(4, "d"), RangeError);
+
+  map.delete(2);
+  map.set(4, "d");
+  map.delete(1);
+  map.set(0, "e");
+  equal(map.size, 3);
+  deepEqual(Array.from(map), [
+    [0, "e"],
+    [3, "c"],
+    [4, "d"],
+  ]);
+  throws(() => map.set(5, "f"), RangeError);
+});
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
@@ -0,0 +1,55 @@
+import { bench, do_not_optimize, group, run, summary } from "mitata";
+import { FixedSkipList } from "./FixedSkipList.js";
+import { CompactSkipList } from "./CompactSkipList.js";
+
+let capacity = 100_000;
+let values = Float64Array.from({ length: capacity }, () => Math.random());
+let compare = (a, b) => ascending(values[a], values[b]);
+let probes = Uint32Array.from({ length: 1000 }, () => (Math.random() * capacity) | 0);
+
+for (let List of [FixedSkipList, CompactSkipList]) {
+  let list = new List(capacity, 1 / 2, compare, { seed: 42 });
+  for (let index = 0; index < capacity; index++) list.insert(index);
+  console.log(`${List.name}: ${(list.byteLength / 1024).toFixed(0)} KiB`);
+}
+
+summary(() => {
+  group("insert", () => {
+    for (let List of [FixedSkipList, CompactSkipList]) {
+      bench(List.name, () => {
+        let list = new List(capacity, 1 / 2, compare, { seed: 42 });
+        for (let index = 0; index < capacity; index++) list.insert(index);
+        return list;
+      });
+    }
+  });
+
+  group("search", () => {
+    for (let List of [FixedSkipList, CompactSkipList]) {
+      let list = new List(capacity, 1 / 2, compare, { seed: 42 });
+      for (let index = 0; index < capacity; index++) list.insert(index);
+      bench(List.name, () => {
+        for (let i = 0; i < probes.length; i++) do_not_optimize(list.rankOf(probes[i]));
+      });
+    }
+  });
+
+  group("remove and insert", () => {
+    for (let List of [FixedSkipList, CompactSkipList]) {
+      let list = new List(capacity, 1 / 2, compare, { seed: 42 });
+      for (let index = 0; index < capacity; index++) list.insert(index);
+      bench(List.name, () => {
+        for (let i = 0; i < probes.length; i++) {
+          list.remove(probes[i]);
+          list.insert(probes[i]);
+        }
+      });
+    }
+  });
+});
+
+await run();
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
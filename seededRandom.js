@@ -0,0 +1,23 @@
+/**
+ * Create a pseudo-random number generator that produces the same sequence of numbers in range
+ * [0, 1) for the same seed. Can be passed to skip lists as `random` option to make their layout
+ * reproducible.
+ *
+ * ```js
+ * let list = new FixedSkipList(1000, 1 / 4, ascending, { random: seededRandom(42) });
+ * ```
+ *
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function seededRandom(seed) {
+  // mulberry32, a fast 32-bit generator with decent statistical properties
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import { deepEqual, notDeepEqual, ok } from "node:assert/strict";
+import { seededRandom } from "./seededRandom.js";
+
+test("same seed same sequence", () => {
+  let a = seededRandom(42);
+  let b = seededRandom(42);
+  let c = seededRandom(43);
+  let sequence = (random) => Array.from({ length: 100 }, () => random());
+  let numbers = sequence(a);
+  deepEqual(numbers, sequence(b));
+  notDeepEqual(numbers, sequence(c));
+  ok(numbers.every((x) => x >= 0 && x < 1));
+});
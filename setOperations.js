@@ -0,0 +1,132 @@
+/** @typedef {import("./FixedSkipList.js").FixedSkipList} FixedSkipList */
+
+/**
+ * Indices that are present in at least one of the lists. Lists must share one value store and one
+ * order of values, indices present in several lists are yielded once.
+ *
+ * @param {...FixedSkipList} lists
+ * @returns {Generator<number>}
+ */
+export function* union(...lists) {
+  if (lists.length === 0) return;
+  let compare = lists[0].compare;
+  let cursors = lists.map((list) => (list.size > 0 ? list.head : -1));
+  while (true) {
+    let probe = -1;
+    for (let cursor of cursors) {
+      if (cursor > -1 && (probe === -1 || compare(cursor, probe) < 0)) probe = cursor;
+    }
+    if (probe === -1) return;
+    let seen = new Set();
+    for (let i = 0; i < lists.length; i++) {
+      let curr = cursors[i];
+      for (; curr > -1 && compare(curr, probe) === 0; curr = step(lists[i], curr)) {
+        if (!seen.has(curr)) yield curr;
+        seen.add(curr);
+      }
+      cursors[i] = curr;
+    }
+  }
+}
+
+/**
+ * Indices that are present in all of the lists, in sorted order. Instead of stepping through long
+ * runs of values that cannot match, lists are searched with `bisectLeft()`.
+ *
+ * ```js
+ * for (let index of intersection(active, flagged)) {
+ *   // rows that are both active and flagged, ordered by date
+ * }
+ * ```
+ *
+ * @param {...FixedSkipList} lists
+ * @returns {Generator<number>}
+ */
+export function* intersection(...lists) {
+  if (lists.length === 0 || lists.some((list) => list.size === 0)) return;
+  let compare = lists[0].compare;
+  let probe = lists[0].head;
+  // leapfrog: each list in turn jumps to the probe, a larger value found becomes the new probe
+  for (let i = 1 % lists.length, matched = 1; ;) {
+    if (matched < lists.length) {
+      let found = seek(lists[i], probe);
+      if (found === -1) return;
+      if (compare(found, probe) > 0) {
+        probe = found;
+        matched = 1;
+      } else {
+        matched++;
+      }
+      i = (i + 1) % lists.length;
+      continue;
+    }
+
+    let [first, ...rest] = lists.map((list) => run(list, seek(list, probe)));
+    for (let index of first.indices) {
+      if (rest.every(({ indices }) => indices.includes(index))) yield index;
+    }
+    if (first.next === -1) return;
+    probe = first.next;
+    matched = 1;
+    i = 1 % lists.length;
+  }
+}
+
+/**
+ * Indices of the first list that are not present in any of the other lists, in sorted order.
+ *
+ * @param {FixedSkipList} list
+ * @param {...FixedSkipList} others
+ * @returns {Generator<number>}
+ */
+export function* difference(list, ...others) {
+  let compare = list.compare;
+  let cursors = others.map((other) => (other.size > 0 ? other.head : -1));
+  for (let probe = list.size > 0 ? list.head : -1; probe > -1;) {
+    let excluded = new Set();
+    for (let i = 0; i < others.length; i++) {
+      if (cursors[i] > -1 && compare(cursors[i], probe) < 0) cursors[i] = seek(others[i], probe);
+      if (cursors[i] > -1 && compare(cursors[i], probe) === 0) {
+        let { indices, next } = run(others[i], cursors[i]);
+        for (let index of indices) excluded.add(index);
+        cursors[i] = next;
+      }
+    }
+    let { indices, next } = run(list, probe);
+    for (let index of indices) if (!excluded.has(index)) yield index;
+    probe = next;
+  }
+}
+
+/**
+ * First index in the list that is not less than the probe, or -1.
+ *
+ * @param {FixedSkipList} list
+ * @param {number} probe
+ */
+function seek(list, probe) {
+  let compare = list.compare;
+  return list.bisectLeft((index) => compare(probe, index));
+}
+
+/**
+ * Indices equal to the one at start, and the index that follows them or -1.
+ *
+ * @param {FixedSkipList} list
+ * @param {number} start
+ */
+function run(list, start) {
+  let compare = list.compare;
+  let indices = [];
+  let curr = start;
+  for (; curr > -1 && compare(curr, start) === 0; curr = step(list, curr)) indices.push(curr);
+  return { indices, next: curr };
+}
+
+/**
+ * @param {FixedSkipList} list
+ * @param {number} index
+ */
+function step(list, index) {
+  return index === list.tail ? -1 : list.next[index];
+}
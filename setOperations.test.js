@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import { deepEqual, equal, ok } from "node:assert/strict";
+import { FixedSkipList } from "./FixedSkipList.js";
+import { difference, intersection, union } from "./setOperations.js";
+
+let data = [];
+let order = (ia, ib) => ascending(data[ia], data[ib]);
+
+function setup() {
+  data.length = 0;
+  for (let i = 0; i < 300; i++) data.push((Math.random() * 100) | 0);
+  let lists = [2, 3, 5].map((divisor) => {
+    let list = new FixedSkipList(300, 1 / 4, order);
+    for (let i = 0; i < 300; i++) if (i % divisor === 0) list.insert(i);
+    return list;
+  });
+  return lists;
+}
+
+function sorted(predicate) {
+  return data
+    .map((_, index) => index)
+    .filter(predicate)
+    .sort(order)
+    .map((index) => data[index]);
+}
+
+test("union", () => {
+  let [a, b, c] = setup();
+  let values = (iterable) => Array.from(iterable, (index) => data[index]);
+  deepEqual(
+    values(union(a, b)),
+    sorted((i) => i % 2 === 0 || i % 3 === 0),
+  );
+  deepEqual(
+    values(union(a, b, c)),
+    sorted((i) => i % 2 === 0 || i % 3 === 0 || i % 5 === 0),
+  );
+  equal(new Set(union(a, b)).size, Array.from(union(a, b)).length);
+  deepEqual(values(union(a)), values(a));
+  deepEqual(values(union()), []);
+});
+
+test("intersection", () => {
+  let [a, b, c] = setup();
+  let values = (iterable) => Array.from(iterable, (index) => data[index]);
+  deepEqual(
+    values(intersection(a, b)),
+    sorted((i) => i % 6 === 0),
+  );
+  deepEqual(
+    values(intersection(a, b, c)),
+    sorted((i) => i % 30 === 0),
+  );
+  deepEqual(
+    Array.from(intersection(a, b, c)).sort((x, y) => x - y),
+    Array.from({ length: 10 }, (_, i) => i * 30),
+  );
+  deepEqual(values(intersection(a, new FixedSkipList(10, 1 / 2, order))), []);
+});
+
+test("difference", () => {
+  let [a, b, c] = setup();
+  let values = (iterable) => Array.from(iterable, (index) => data[index]);
+  deepEqual(
+    values(difference(a, b)),
+    sorted((i) => i % 2 === 0 && i % 3 !== 0),
+  );
+  deepEqual(
+    values(difference(a, b, c)),
+    sorted((i) => i % 2 === 0 && i % 3 !== 0 && i % 5 !== 0),
+  );
+  deepEqual(values(difference(a)), values(a));
+});
+
+test("sparse overlap", () => {
+  data.length = 0;
+  for (let i = 0; i < 1000; i++) data.push(i);
+  let a = new FixedSkipList(1000, 1 / 4, order);
+  let b = new FixedSkipList(1000, 1 / 4, order);
+  for (let i = 0; i < 1000; i++) a.insert(i);
+  for (let i of [3, 500, 998]) b.insert(i);
+  let calls = 0;
+  let compare = a.compare;
+  a.compare = b.compare = (x, y) => (calls++, compare(x, y));
+  deepEqual(Array.from(intersection(a, b)), [3, 500, 998]);
+  ok(calls < 300);
+});
+
+function ascending(a, b) {
+  return a == b ? 0 : a < b ? -1 : a > b ? 1 : 0;
+}
@@ -1 +1,14 @@
 export { FixedSkipList } from "./FixedSkipList.js";
+export { GrowableSkipList } from "./GrowableSkipList.js";
+export { SkipMap } from "./SkipMap.js";
+export { seededRandom } from "./seededRandom.js";
+export { IndexedCollection } from "./IndexedCollection.js";
+export { SkipListError } from "./SkipListError.js";
+export { Cursor } from "./Cursor.js";
+export { LiveSlice } from "./LiveSlice.js";
+export { union, intersection, difference } from "./setOperations.js";
+export { RollingQuantile } from "./RollingQuantile.js";
+export { NumericSkipList } from "./NumericSkipList.js";
+export { AggregateSkipList } from "./AggregateSkipList.js";
+export { CompactSkipList } from "./CompactSkipList.js";
+export { SharedSkipList } from "./SharedSkipList.js";